@@ -1,132 +1,457 @@
 #!/usr/bin/env node
 // Benchmark: evaluate N-tuple network vs random play
-// Usage: node scripts/benchmark.js [--weights PATH] [--games N] [--expectimax] [--depth N]
+// Usage: node scripts/benchmark.js [--size 5x5|4x4] [--weights PATH] [--games N] [--players NAME,...] [--seed N]
+//        [--json PATH] [--csv PATH]
+//        [--depth N] [--time-ms MS] [--max-depth N] [--prob-cutoff P] [--iterations N] [--rollout N] [--heuristic-weights JSON]
+//        [--expectimax] [--mcts] [--heuristic] [--compare A.bin B.bin]
+// --players takes any names from src/player/registry.js (default: random,greedy)
+// The board size comes from the weight file unless --size is given
+// With --seed, game i of every player uses the same tile spawn sequence
+// --time-ms gives the search players a per-move budget: iterative deepening up to
+// --max-depth for expectimax (the default search player), simulations for mcts
+// Without --players, --expectimax and --mcts add those search players and --heuristic
+// adds the hand-crafted evaluation: 1-ply, and under each enabled search player
+// --compare plays two networks on the same seeded games (common random numbers) with
+// the first --players entry (default greedy) and reports the paired score difference
+// and reach rate differences with 95% confidence intervals
+// --json writes per-game records (score, max tile, moves, seed) and summary statistics
+// of every player (reach rates in percent, like evaluateNetwork); --csv writes the
+// games to PATH and the summaries to PATH-summary.csv
 
-import { NTupleNetwork } from '../src/network/ntuple.js';
-import { createBoard, move, cloneBoard, canMove, addRandomTile, maxTile, printBoard, tileValue } from '../src/game/engine.js';
-import { GreedyPlayer } from '../src/player/greedy-player.js';
-import { ExpectimaxPlayer } from '../src/player/expectimax-player.js';
+import { writeFileSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { NTupleNetwork as NTupleNetwork5x5 } from '../src/network/ntuple.js';
+import { NTupleNetwork as NTupleNetwork4x4 } from '../src/network/ntuple4x4.js';
+import { loadNetwork } from '../src/network/load-network.js';
+import { engine as engine5x5 } from '../src/game/engine.js';
+import { engine as engine4x4 } from '../src/game/engine4x4.js';
+import { DEFAULT_PROB_CUTOFF, DEFAULT_MAX_DEPTH } from '../src/player/expectimax-player.js';
+import { DEFAULT_ITERATIONS } from '../src/player/mcts-player.js';
+import { PLAYER_NAMES, createPlayer, describePlayers, playerLabel } from '../src/player/registry.js';
+import { createRng, deriveSeed, parseSeed } from '../src/game/rng.js';
+import { mean, std, meanInterval, pairedTTest, mcnemarTest } from '../src/stats/statistics.js';
+
+// Per board size: engine, untrained network and default weights
+const BOARD_SIZES = {
+  '5x5': {
+    engine: engine5x5,
+    NTupleNetwork: NTupleNetwork5x5,
+    weights: 'weights/final.bin',
+    reachThresholds: [11, 12, 13, 14], // 2048 .. 16384
+  },
+  '4x4': {
+    engine: engine4x4,
+    NTupleNetwork: NTupleNetwork4x4,
+    weights: 'weights4x4/final.bin',
+    reachThresholds: [9, 10, 11, 12], // 512 .. 4096
+  },
+};
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const opts = { games: 1000, weights: 'weights/final.bin', expectimax: false, depth: 2 };
+  const opts = {
+    size: null, games: 1000, weights: null, seed: null, players: null, compare: null, json: null, csv: null,
+    expectimax: false, depth: 2, timeMs: null, maxDepth: DEFAULT_MAX_DEPTH, probCutoff: DEFAULT_PROB_CUTOFF,
+    mcts: false, iterations: DEFAULT_ITERATIONS, rollout: 0,
+    heuristic: false, heuristicWeights: {},
+  };
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
+      case '--size': opts.size = args[++i]; break;
       case '--weights': opts.weights = args[++i]; break;
       case '--games': opts.games = parseInt(args[++i]); break;
+      case '--players': opts.players = args[++i].split(','); break;
       case '--expectimax': opts.expectimax = true; break;
       case '--depth': opts.depth = parseInt(args[++i]); break;
+      case '--time-ms': opts.timeMs = parseInt(args[++i]); break;
+      case '--max-depth': opts.maxDepth = parseInt(args[++i]); break;
+      case '--prob-cutoff': opts.probCutoff = parseFloat(args[++i]); break;
+      case '--mcts': opts.mcts = true; break;
+      case '--iterations': opts.iterations = parseInt(args[++i]); break;
+      case '--rollout': opts.rollout = parseInt(args[++i]); break;
+      case '--heuristic': opts.heuristic = true; break;
+      case '--heuristic-weights': opts.heuristicWeights = JSON.parse(args[++i]); opts.heuristic = true; break;
+      case '--seed': opts.seed = parseSeed(args[++i]); break;
+      case '--compare': opts.compare = [args[++i], args[++i]]; break;
+      case '--json': opts.json = args[++i]; break;
+      case '--csv': opts.csv = args[++i]; break;
+    }
+  }
+  if (opts.size !== null && !BOARD_SIZES[opts.size]) {
+    console.error(`Unknown --size ${opts.size} (expected ${Object.keys(BOARD_SIZES).join(' or ')})`);
+    process.exit(1);
+  }
+  opts.weights ??= BOARD_SIZES[opts.size ?? '5x5'].weights;
+  if (opts.compare) {
+    if (opts.compare.includes(undefined)) {
+      console.error('--compare needs two weight files');
+      process.exit(1);
     }
+    if (!(opts.games >= 2)) {
+      console.error('--compare needs at least 2 games');
+      process.exit(1);
+    }
+    // Common random numbers need a seed; draw one so the run can be repeated
+    opts.seed ??= Math.floor(Math.random() * 0x100000000);
+    opts.players = [opts.players ? opts.players[0] : 'greedy'];
+  }
+  if (opts.timeMs !== null && !opts.mcts) opts.expectimax = true;
+  opts.players ??= legacyPlayers(opts);
+  const unknown = opts.players.filter(name => !PLAYER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    console.error(`Unknown player: ${unknown.join(', ')} (expected ${PLAYER_NAMES.join(', ')})`);
+    process.exit(1);
   }
   return opts;
 }
 
-function runBenchmark(player, numGames, label) {
-  console.log(`\n=== ${label} (${numGames} games) ===`);
-  const scores = [];
-  const maxTiles = [];
+// Player list of the --expectimax / --mcts / --heuristic flags
+function legacyPlayers(opts) {
+  const search = [];
+  if (opts.expectimax) search.push('expectimax');
+  if (opts.mcts) search.push('mcts');
+  const players = ['random', 'greedy', ...search];
+  if (opts.heuristic) players.push('heuristic', ...search.map(name => `heuristic-${name}`));
+  return players;
+}
+
+// Play numGames games; game i spawns tiles from deriveSeed(seed, i)
+// Returns { games: [{ game, seed, score, maxTile, moves }], elapsed (s), search } in game order
+function playGames(setup, player, numGames, seed) {
+  const { createBoard, move, canMove, addRandomTile, maxTile, tileValue } = setup.engine;
+  const games = [];
   const startTime = Date.now();
+  // Per-move search stats of players that report lastSearch (expectimax, MCTS)
+  const search = { moves: 0, totalMs: 0, maxMs: 0, depths: {} };
 
   for (let i = 0; i < numGames; i++) {
-    const board = createBoard();
+    const gameSeed = seed === null ? null : deriveSeed(seed, i);
+    const rng = gameSeed === null ? Math.random : createRng(gameSeed);
+    const board = createBoard(rng);
     let score = 0;
+    let moves = 0;
 
     while (true) {
       const dir = player.selectMove(board);
+      if (player.lastSearch) {
+        const { depth, elapsedMs } = player.lastSearch;
+        search.moves++;
+        search.totalMs += elapsedMs;
+        search.maxMs = Math.max(search.maxMs, elapsedMs);
+        search.depths[depth] = (search.depths[depth] || 0) + 1;
+      }
       if (dir === -1) break;
 
       const result = move(board, dir);
       score += result.reward;
-      addRandomTile(board);
+      moves++;
+      addRandomTile(board, rng);
 
       if (!canMove(board)) break;
     }
 
-    scores.push(score);
-    maxTiles.push(maxTile(board));
+    games.push({ game: i, seed: gameSeed, score, maxTile: tileValue(maxTile(board)), moves });
 
     if ((i + 1) % 100 === 0) {
       const elapsed = (Date.now() - startTime) / 1000;
-      const avg = scores.reduce((s, v) => s + v, 0) / scores.length;
-      process.stdout.write(`\r  ${i + 1}/${numGames} games | Avg: ${Math.round(avg)} | ${(scores.length / elapsed).toFixed(0)} games/s`);
+      const avg = mean(games.map(g => g.score));
+      process.stdout.write(`\r  ${i + 1}/${numGames} games | Avg: ${Math.round(avg)} | ${formatRate(games.length / elapsed)}`);
     }
   }
 
-  const elapsed = (Date.now() - startTime) / 1000;
   console.log('');
+  return { games, elapsed: (Date.now() - startTime) / 1000, search };
+}
 
-  // Stats
-  scores.sort((a, b) => a - b);
-  const avg = scores.reduce((s, v) => s + v, 0) / numGames;
-  const med = scores[Math.floor(numGames / 2)];
-  const max = scores[numGames - 1];
-  const min = scores[0];
+// Summary statistics of a playGames() run; reach rates are percentages per tile
+// threshold, as in evaluateNetwork (td-core.js)
+function summarize(setup, { games, elapsed, search }) {
+  const scores = games.map(g => g.score).sort((a, b) => a - b);
+  const n = games.length;
+  const { mean: avgScore, ci } = meanInterval(scores);
+  const tileDist = {};
+  for (const { maxTile } of games) tileDist[maxTile] = (tileDist[maxTile] || 0) + 1;
+  const reachRates = {};
+  for (const threshold of setup.reachThresholds) {
+    const tile = 1 << threshold;
+    reachRates[tile] = games.filter(g => g.maxTile >= tile).length / n * 100;
+  }
 
-  console.log(`  Avg Score: ${Math.round(avg)}`);
-  console.log(`  Med Score: ${Math.round(med)}`);
-  console.log(`  Min/Max:   ${min} / ${max}`);
-  console.log(`  Time:      ${elapsed.toFixed(1)}s (${(numGames / elapsed).toFixed(0)} games/s)`);
+  let searchStats = null;
+  if (search.moves > 0) {
+    const depths = {};
+    let depthSum = 0;
+    for (const [depth, count] of Object.entries(search.depths)) {
+      depths[depth] = count / search.moves;
+      depthSum += depth * count;
+    }
+    searchStats = {
+      avgMs: search.totalMs / search.moves,
+      maxMs: search.maxMs,
+      avgDepth: depthSum / search.moves,
+      depths,
+    };
+  }
 
-  // Tile distribution
-  const tileDist = {};
-  for (const t of maxTiles) {
-    const val = tileValue(t);
-    tileDist[val] = (tileDist[val] || 0) + 1;
+  return {
+    games: n,
+    avgScore,
+    scoreCI: ci,
+    stdScore: std(scores),
+    medScore: scores[Math.floor(n / 2)],
+    minScore: scores[0],
+    maxScore: scores[n - 1],
+    avgMoves: mean(games.map(g => g.moves)),
+    elapsedSec: elapsed,
+    gamesPerSec: n / elapsed,
+    tileDist,
+    reachRates,
+    search: searchStats,
+  };
+}
+
+// Play and print one player; returns its result record for --json / --csv
+function runBenchmark(setup, player, numGames, info, seed = null) {
+  console.log(`\n=== ${info.label} (${numGames} games${seed === null ? '' : `, seed=${seed}`}) ===`);
+  const run = playGames(setup, player, numGames, seed);
+  const summary = summarize(setup, run);
+  printSummary(summary);
+  return { ...info, summary, games: run.games };
+}
+
+function printSummary(summary) {
+  const { games: numGames, search } = summary;
+  console.log(`  Avg Score: ${Math.round(summary.avgScore)} (95% CI ${Math.round(summary.scoreCI[0])} .. ${Math.round(summary.scoreCI[1])})`);
+  console.log(`  Med Score: ${Math.round(summary.medScore)}`);
+  console.log(`  Std Score: ${Math.round(summary.stdScore)}`);
+  console.log(`  Min/Max:   ${summary.minScore} / ${summary.maxScore}`);
+  console.log(`  Avg Moves: ${summary.avgMoves.toFixed(1)}`);
+  console.log(`  Time:      ${summary.elapsedSec.toFixed(1)}s (${formatRate(summary.gamesPerSec)})`);
+  if (search) {
+    const depths = Object.entries(search.depths)
+      .map(([depth, rate]) => `${depth}: ${(rate * 100).toFixed(1)}%`)
+      .join(', ');
+    console.log(`  Search:    ${search.avgMs.toFixed(1)} ms/move (max ${search.maxMs} ms) | ` +
+      `avg depth ${search.avgDepth.toFixed(2)} (${depths})`);
   }
+
+  // Tile distribution
   console.log(`  Tile distribution:`);
-  const sortedTiles = Object.entries(tileDist).sort((a, b) => parseInt(b[0]) - parseInt(a[0]));
+  const sortedTiles = Object.entries(summary.tileDist).sort((a, b) => parseInt(b[0]) - parseInt(a[0]));
   for (const [val, count] of sortedTiles) {
     console.log(`    ${val}: ${count} (${(count / numGames * 100).toFixed(1)}%)`);
   }
 
   // Reach rates
   console.log(`  Reach rates:`);
-  for (const threshold of [11, 12, 13, 14]) {
-    const tileVal = 1 << threshold;
-    const count = maxTiles.filter(t => t >= threshold).length;
-    console.log(`    ${tileVal}+: ${(count / numGames * 100).toFixed(1)}%`);
+  for (const [tile, rate] of Object.entries(summary.reachRates)) {
+    console.log(`    ${tile}+: ${rate.toFixed(1)}%`);
   }
 }
 
-// Random player for baseline
-class RandomPlayer {
-  selectMove(board) {
-    const dirs = [];
-    for (let dir = 0; dir < 4; dir++) {
-      const after = cloneBoard(board);
-      const result = move(after, dir);
-      if (result.moved) dirs.push(dir);
-    }
-    if (dirs.length === 0) return -1;
-    return dirs[Math.floor(Math.random() * dirs.length)];
+// Compare two networks game by game: both play the same seeded tile sequences,
+// so per-game differences cancel most of the luck of the spawns
+// Returns { results: [A, B] (as runBenchmark), comparison }
+function runCompare(setup, runs, numGames, seed) {
+  const results = runs.map(({ info, player }, i) => {
+    console.log(`\n--- ${i === 0 ? 'A' : 'B'}: ${info.weights} ---`);
+    return runBenchmark(setup, player, numGames, info, seed);
+  });
+  const [a, b] = results;
+  const test = pairedTTest(a.games.map(g => g.score), b.games.map(g => g.score));
+
+  // Reach rates: paired yes/no per game; CI of the rate difference, exact McNemar test
+  // Rates, differences and CIs are in percent (points)
+  const reach = {};
+  for (const tile of Object.keys(a.summary.reachRates)) {
+    const reachedA = a.games.map(g => (g.maxTile >= Number(tile) ? 1 : 0));
+    const reachedB = b.games.map(g => (g.maxTile >= Number(tile) ? 1 : 0));
+    const diff = pairedTTest(reachedA, reachedB);
+    reach[tile] = {
+      a: a.summary.reachRates[tile],
+      b: b.summary.reachRates[tile],
+      diff: diff.meanDiff * 100,
+      ci: diff.ci.map(x => x * 100),
+      p: mcnemarTest(reachedA, reachedB).p,
+    };
+  }
+  const comparison = {
+    a: a.weights, b: b.weights,
+    meanDiff: test.meanDiff, ci: test.ci, t: test.t, df: test.df, p: test.p,
+    reach,
+  };
+
+  console.log(`\n=== Compare: A = ${a.weights}, B = ${b.weights} ===`);
+  for (const [key, { summary }] of [['A', a], ['B', b]]) {
+    console.log(`  ${key} Avg Score: ${Math.round(summary.avgScore)} (95% CI ${Math.round(summary.scoreCI[0])} .. ${Math.round(summary.scoreCI[1])})`);
+  }
+  console.log(`  Diff (A-B): ${signed(test.meanDiff, 1)} (95% CI ${signed(test.ci[0], 1)} .. ${signed(test.ci[1], 1)})`);
+  console.log(`  Paired t-test: t=${test.t.toFixed(3)}, df=${test.df}, p=${formatP(test.p)}`);
+  console.log(test.p < 0.05
+    ? `  ${test.meanDiff > 0 ? 'A' : 'B'} scores higher (significant at 95%)`
+    : '  No significant score difference at 95%');
+  console.log('  Reach rates (A / B, diff A-B with 95% CI, McNemar p):');
+  for (const [tile, r] of Object.entries(reach)) {
+    console.log(`    ${tile}+: ${r.a.toFixed(1)}% / ${r.b.toFixed(1)}% | ` +
+      `${signed(r.diff, 1)}% (${signed(r.ci[0], 1)}% .. ${signed(r.ci[1], 1)}%) | p=${formatP(r.p)}`);
+  }
+
+  return { results, comparison };
+}
+
+function signed(x, digits) {
+  return (x > 0 ? '+' : '') + x.toFixed(digits);
+}
+
+function formatP(p) {
+  return p < 0.0001 ? '<0.0001' : p.toFixed(4);
+}
+
+// Throughput with enough digits for slow search players; s/game below 1 game/s
+function formatRate(gamesPerSec) {
+  if (gamesPerSec >= 10) return `${gamesPerSec.toFixed(0)} games/s`;
+  if (gamesPerSec >= 1) return `${gamesPerSec.toFixed(1)} games/s`;
+  return `${(1 / gamesPerSec).toFixed(1)} s/game`;
+}
+
+// Short hash of the checked-out commit, so stored results can be matched to code
+function gitCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {
+      cwd: dirname(fileURLToPath(import.meta.url)),
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+// --json: one document with the run's settings, every player's summary and games
+function writeJson(filepath, report) {
+  writeFileSync(filepath, JSON.stringify(report, null, 2) + '\n');
+  console.log(`Wrote ${filepath}`);
+}
+
+// --csv: one row per game in filepath, one row per player in <filepath>-summary.csv
+function writeCsv(filepath, report) {
+  const csv = rows => rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  const gameRows = [['player', 'weights', 'game', 'seed', 'score', 'max_tile', 'moves']];
+  for (const r of report.results) {
+    for (const g of r.games) gameRows.push([r.player, r.weights, g.game, g.seed, g.score, g.maxTile, g.moves]);
+  }
+  writeFileSync(filepath, csv(gameRows));
+
+  const tiles = Object.keys(report.results[0].summary.reachRates);
+  const summaryRows = [[
+    'player', 'label', 'weights', 'games', 'avg_score', 'score_ci_low', 'score_ci_high', 'std_score',
+    'med_score', 'min_score', 'max_score', 'avg_moves', 'elapsed_sec', ...tiles.map(t => `reach_${t}_pct`),
+  ]];
+  // Summary figures are rounded: scores, moves and seconds to 0.1, reach rates to 0.01 %
+  for (const { player, label, weights, summary: s } of report.results) {
+    summaryRows.push([
+      player, label, weights, s.games, s.avgScore.toFixed(1), s.scoreCI[0].toFixed(1), s.scoreCI[1].toFixed(1),
+      s.stdScore.toFixed(1), s.medScore, s.minScore, s.maxScore, s.avgMoves.toFixed(1), s.elapsedSec.toFixed(1),
+      ...tiles.map(t => s.reachRates[t].toFixed(2)),
+    ]);
+  }
+  const summaryPath = filepath.replace(/(\.csv)?$/, '-summary.csv');
+  writeFileSync(summaryPath, csv(summaryRows));
+  console.log(`Wrote ${filepath} and ${summaryPath}`);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Loads a weight file; null (after a message) when it can't be read
+function loadWeights(file) {
+  try {
+    const network = loadNetwork(file);
+    console.log(`Loaded weights from ${file} (${network.boardSize})`);
+    return network;
+  } catch (e) {
+    console.log(`Could not load weights from ${file}: ${e.message}`);
+    return null;
   }
 }
 
 const opts = parseArgs();
-const network = new NTupleNetwork();
-
-// Try loading weights
-try {
-  if (opts.weights.endsWith('.bin')) {
-    network.loadBinary(opts.weights);
-  } else {
-    network.load(opts.weights);
-  }
-  console.log(`Loaded weights from ${opts.weights}`);
-} catch (e) {
-  console.log(`Could not load weights from ${opts.weights}: ${e.message}`);
+
+// Builds a multi-stage network when the file holds one; the board size is --size,
+// or else the first file's
+const weightFiles = opts.compare || [opts.weights];
+const networks = weightFiles.map(loadWeights);
+if (opts.compare && networks.includes(null)) process.exit(1);
+const size = opts.size ?? networks[0]?.boardSize ?? '5x5';
+const setup = BOARD_SIZES[size];
+if (!setup) {
+  console.error(`${weightFiles[0]} is a ${size} network; the benchmark plays ${Object.keys(BOARD_SIZES).join(' or ')}`);
+  process.exit(1);
+}
+for (let i = 0; i < networks.length; i++) {
+  if (networks[i] && networks[i].boardSize !== size) {
+    console.error(`${weightFiles[i]} is a ${networks[i].boardSize} network; this benchmark plays ${size} (see --size)`);
+    process.exit(1);
+  }
+}
+if (networks[0] === null) {
+  networks[0] = new setup.NTupleNetwork();
   console.log('Running with untrained network (essentially random play with structure)');
 }
 
-// Random baseline
-runBenchmark(new RandomPlayer(), Math.min(opts.games, 100), 'Random Player');
+// Player options; every player gets a fresh move-choice stream (random moves,
+// MCTS spawn samples) so tile spawns stay aligned across players
+function playerOptions() {
+  return {
+    depth: opts.depth,
+    timeMs: opts.timeMs,
+    maxDepth: opts.maxDepth,
+    probCutoff: opts.probCutoff,
+    iterations: opts.iterations,
+    rollout: opts.rollout,
+    heuristicWeights: opts.heuristicWeights,
+    rng: opts.seed === null ? Math.random : createRng(deriveSeed(opts.seed, -1)),
+  };
+}
+
+function makePlayer(name, network, weights) {
+  const options = playerOptions();
+  return {
+    player: createPlayer(name, network, setup.engine, options),
+    info: { player: name, label: playerLabel(name, options), weights },
+  };
+}
 
-// N-tuple greedy
-const greedyPlayer = new GreedyPlayer(network);
-runBenchmark(greedyPlayer, opts.games, 'N-tuple Greedy (1-ply)');
+const report = {
+  size,
+  seed: opts.seed,
+  commit: gitCommit(),
+  date: new Date().toISOString(),
+  args: process.argv.slice(2),
+  results: [],
+};
 
-// Optionally run expectimax
-if (opts.expectimax) {
-  const expPlayer = new ExpectimaxPlayer(network, opts.depth);
-  runBenchmark(expPlayer, Math.min(opts.games, 100), `N-tuple Expectimax (depth=${opts.depth})`);
+if (opts.compare) {
+  const runs = networks.map((network, i) => makePlayer(opts.players[0], network, weightFiles[i]));
+  const { results, comparison } = runCompare(setup, runs, opts.games, opts.seed);
+  report.results = results;
+  report.comparison = comparison;
+} else {
+  // Search players (and random play, which is uninformative at length) are capped at 100 games
+  const slow = new Set(describePlayers().filter(p => p.search).map(p => p.name)).add('random');
+
+  for (const name of opts.players) {
+    const { player, info } = makePlayer(name, networks[0], opts.weights);
+    const numGames = slow.has(name) ? Math.min(opts.games, 100) : opts.games;
+    report.results.push(runBenchmark(setup, player, numGames, info, opts.seed));
+  }
 }
+
+if (opts.json || opts.csv) console.log('');
+if (opts.json) writeJson(opts.json, report);
+if (opts.csv) writeCsv(opts.csv, report);
@@ -4,8 +4,14 @@
 
 import http from 'node:http';
 import fs from 'node:fs';
+import { spawn } from 'node:child_process';
+import { Worker } from 'node:worker_threads';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseSeed } from '../src/game/rng.js';
+import { loadNetwork } from '../src/network/load-network.js';
+import { parseStageTiles } from '../src/network/multi-stage.js';
+import { describePlayers, playerLabel } from '../src/player/registry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -13,10 +19,19 @@ const WEIGHTS_DIR_5x5 = path.join(ROOT, 'weights');
 const WEIGHTS_DIR_4x4 = path.join(ROOT, 'weights4x4');
 const GIFS_DIR = path.join(ROOT, 'gifs');
 
+// Training logs offered in the Training tab: metrics.jsonl written by the
+// trainers, then legacy free-text logs (redirected console output)
+const LOG_FILES = [
+  'weights4x4/metrics.jsonl',
+  'weights/metrics.jsonl',
+  'train4x4.log',
+  'train.log',
+];
+
 // Per-size module cache
 const modules = {
-  '5x5': { NTupleNetwork: null, evaluateNetwork: null, engineMod: null, GreedyPlayer: null },
-  '4x4': { NTupleNetwork: null, evaluateNetwork: null, engineMod: null, GreedyPlayer: null },
+  '5x5': { NTupleNetwork: null, reachThresholds: null },
+  '4x4': { NTupleNetwork: null, reachThresholds: null },
 };
 let currentSize = null;
 let network = null;
@@ -27,14 +42,10 @@ async function ensureModules(size) {
   if (!m.NTupleNetwork) {
     if (size === '4x4') {
       ({ NTupleNetwork: m.NTupleNetwork } = await import('../src/network/ntuple4x4.js'));
-      ({ evaluateNetwork: m.evaluateNetwork } = await import('../src/training/td-learning4x4.js'));
-      m.engineMod = await import('../src/game/engine4x4.js');
-      ({ GreedyPlayer: m.GreedyPlayer } = await import('../src/player/greedy-player4x4.js'));
+      ({ REACH_THRESHOLDS: m.reachThresholds } = await import('../src/training/td-learning4x4.js'));
     } else {
       ({ NTupleNetwork: m.NTupleNetwork } = await import('../src/network/ntuple.js'));
-      ({ evaluateNetwork: m.evaluateNetwork } = await import('../src/training/td-learning.js'));
-      m.engineMod = await import('../src/game/engine.js');
-      ({ GreedyPlayer: m.GreedyPlayer } = await import('../src/player/greedy-player.js'));
+      ({ REACH_THRESHOLDS: m.reachThresholds } = await import('../src/training/td-learning.js'));
     }
   }
   return m;
@@ -46,27 +57,30 @@ function weightsDir(size) {
 
 async function ensureNetwork(weightsFile, size) {
   const m = await ensureModules(size);
-  // If size changed, create a new network
+  // If size changed, drop the old network
   if (size !== currentSize) {
-    network = new m.NTupleNetwork();
+    network = null;
     currentSize = size;
     loadedWeightsFile = null;
   }
-  if (!network) {
-    network = new m.NTupleNetwork();
-    currentSize = size;
-  }
   if (weightsFile && weightsFile !== loadedWeightsFile) {
     const fp = path.join(weightsDir(size), weightsFile);
     if (!fs.existsSync(fp)) throw new Error(`Weights file not found: ${weightsFile}`);
-    if (weightsFile.endsWith('.bin')) {
-      network.loadBinary(fp);
-    } else {
-      network.load(fp);
+    // Release the old LUTs first; loadNetwork builds whatever the file holds (single- or multi-stage)
+    network = null;
+    loadedWeightsFile = null;
+    // Shared LUTs let evaluation workers read the network without a copy
+    const loaded = loadNetwork(fp, { shared: true });
+    if (loaded.boardSize !== size) {
+      throw new Error(`${weightsFile} is a ${loaded.boardSize} network, not ${size}`);
     }
+    network = loaded;
     loadedWeightsFile = weightsFile;
     console.log(`Loaded weights [${size}]: ${weightsFile}`);
   }
+  if (!network) {
+    network = new m.NTupleNetwork({ shared: true });
+  }
   return { network, modules: m };
 }
 
@@ -88,54 +102,369 @@ function readBody(req) {
   });
 }
 
-// ── Play one full game recording every step ──────────
+// Player choice of a play/evaluate request: { name, options, label }
+// Any registered player; its main option (param, e.g. depth) is read from the
+// request field of the same name and kept within the registry's bounds
+const PLAYERS = describePlayers();
+
+function parsePlayer(body) {
+  const name = body.player || 'greedy';
+  const entry = PLAYERS.find(p => p.name === name);
+  if (!entry) throw new Error(`Unknown player: ${name} (expected ${PLAYERS.map(p => p.name).join(', ')})`);
+  const options = {};
+  if (entry.param) {
+    const { name: key, min, max } = entry.param;
+    const value = parseInt(body[key]) || entry.param.default;
+    if (value < min || value > max) throw new Error(`${key} must be ${min}-${max}: ${body[key]}`);
+    options[key] = value;
+  }
+  return { name, options, label: playerLabel(name, options) };
+}
 
-async function playFullGame(net, m) {
-  const { createBoard, cloneBoard, move, canMove, addRandomTile, maxTile, tileValue, toGrid, SIZE } = m.engineMod;
-  const player = new m.GreedyPlayer(net);
+// ── Live training metrics (Server-Sent Events) ──────
+
+const METRICS_FILES = LOG_FILES.filter(f => f.endsWith('.jsonl'));
+const STREAM_POLL_MS = 1000;
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Most recently written metrics file (the active run, or the last one)
+function latestMetricsFile() {
+  let latest = null;
+  let latestMtime = -1;
+  for (const file of METRICS_FILES) {
+    const fp = path.join(ROOT, file);
+    if (!fs.existsSync(fp)) continue;
+    const { mtimeMs } = fs.statSync(fp);
+    if (mtimeMs > latestMtime) {
+      latest = file;
+      latestMtime = mtimeMs;
+    }
+  }
+  return latest;
+}
 
-  const board = createBoard();
-  const steps = [];
-  let cumulativeScore = 0;
+function parseRecords(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch { /* torn or foreign line */ }
+  }
+  return records;
+}
 
-  steps.push({
-    grid: toGrid(board),
-    direction: null,
-    reward: 0,
-    cumulativeScore: 0,
-    vAfterstate: null,
+// Tail a metrics.jsonl file as an SSE stream
+//   event "reset":  { file, mtime, records } on connect and whenever the file is rewritten
+//                   (a new run, or a resume that restores an older history)
+//   event "record": each record appended after that
+function streamMetrics(req, res, file) {
+  const fp = path.join(ROOT, file);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
   });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let offset = 0; // bytes consumed, always at a line boundary
+  let lastEpisode = -1;
+
+  const reset = () => {
+    const buf = fs.existsSync(fp) ? fs.readFileSync(fp) : Buffer.alloc(0);
+    offset = buf.lastIndexOf(0x0a) + 1;
+    const records = parseRecords(buf.toString('utf-8', 0, offset));
+    lastEpisode = records.length > 0 ? records[records.length - 1].episode : -1;
+    const mtime = fs.existsSync(fp) ? fs.statSync(fp).mtimeMs : null;
+    send('reset', { file, mtime, records });
+  };
 
-  while (true) {
-    const dir = player.selectMove(board);
-    if (dir === -1) break;
+  const poll = (curr) => {
+    if (curr.size < offset) return reset();
+    if (curr.size === offset) return;
+    // Read from the newline before `offset`: if it is gone, the file was rewritten
+    const start = Math.max(offset - 1, 0);
+    const buf = Buffer.alloc(curr.size - start);
+    const fd = fs.openSync(fp, 'r');
+    try { fs.readSync(fd, buf, 0, buf.length, start); } finally { fs.closeSync(fd); }
+    if (offset > 0 && buf[0] !== 0x0a) return reset();
+    const end = buf.lastIndexOf(0x0a) + 1;
+    if (end <= offset - start) return; // no complete line yet
+    const records = parseRecords(buf.toString('utf-8', offset - start, end));
+    if (records.some(r => r.episode <= lastEpisode)) return reset();
+    offset = start + end;
+    for (const record of records) {
+      lastEpisode = record.episode;
+      send('record', record);
+    }
+  };
 
-    const afterstate = cloneBoard(board);
-    const result = move(afterstate, dir);
-    const vAfter = net.evaluate(afterstate);
-    cumulativeScore += result.reward;
+  reset();
+  fs.watchFile(fp, { interval: STREAM_POLL_MS }, poll);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    fs.unwatchFile(fp, poll);
+    clearInterval(heartbeat);
+  });
+}
 
-    move(board, dir);
-    addRandomTile(board);
+// ── Training jobs (child processes) ─────────────────
 
-    steps.push({
-      grid: toGrid(board),
-      direction: dir,
-      reward: result.reward,
-      cumulativeScore,
-      vAfterstate: Math.round(vAfter * 100) / 100,
-    });
+const TRAIN_SCRIPTS = {
+  '4x4': path.join(ROOT, 'scripts', 'train4x4.js'),
+  '5x5': path.join(ROOT, 'scripts', 'train.js'),
+};
+const JOB_LOG_LINES = 50;
+const ACTIVE_JOB_STATUSES = ['running', 'paused', 'stopping'];
+
+// Start-form field -> [CLI flag, type]
+// Types: 'int' (>= 0), 'count' (>= 1), 'float' (> 0), 'fraction' (0..1),
+// 'tiles' (see parseStageTiles) or an array of allowed values
+const TRAIN_FIELDS = {
+  episodes: ['--episodes', 'int'],
+  lr: ['--lr', 'float'],
+  lrDecayInterval: ['--lr-decay-interval', 'int'],
+  lrDecayFactor: ['--lr-decay-factor', 'float'],
+  evalInterval: ['--eval-interval', 'int'],
+  checkpointInterval: ['--checkpoint-interval', 'int'],
+  workers: ['--workers', 'int'],
+  seed: ['--seed', 'int'],
+  lrMode: ['--lr-mode', ['fixed', 'tc']],
+  tdMode: ['--td-mode', ['td0', 'lambda', 'nstep']],
+  tdLambda: ['--td-lambda', 'fraction'],
+  tdWindow: ['--td-window', 'count'],
+  nStep: ['--n-step', 'count'],
+  numValues: ['--num-values', 'count'],
+  stages: ['--stages', 'tiles'],
+};
 
-    if (!canMove(board)) break;
+const jobs = new Map(); // id -> job
+let nextJobId = 1;
+
+// Script arguments for a start request; empty fields keep the script defaults
+function trainArgs(size, body) {
+  const args = [];
+  for (const [field, [flag, type]] of Object.entries(TRAIN_FIELDS)) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = trainFieldValue(type, raw);
+    if (value === null) throw new Error(`Invalid ${field}: ${raw}`);
+    args.push(flag, value);
   }
+  if (body.resume) {
+    const file = path.basename(String(body.resume));
+    const fp = path.join(weightsDir(size), file);
+    if (!fs.existsSync(fp)) throw new Error(`Weights file not found: ${file}`);
+    args.push('--resume', path.relative(ROOT, fp));
+  }
+  return args;
+}
+
+// CLI value of a start-form field, or null when it is not valid for its type
+function trainFieldValue(type, raw) {
+  if (Array.isArray(type)) return type.includes(String(raw)) ? String(raw) : null;
+  if (type === 'tiles') {
+    try {
+      return parseStageTiles(raw).map(t => 2 ** t).join(',');
+    } catch {
+      return null;
+    }
+  }
+  const value = Number(raw);
+  const valid = type === 'int' ? Number.isInteger(value) && value >= 0
+    : type === 'count' ? Number.isInteger(value) && value >= 1
+    : type === 'fraction' ? value >= 0 && value <= 1
+    : Number.isFinite(value) && value > 0;
+  return valid ? String(value) : null;
+}
 
-  return {
-    steps,
-    finalScore: cumulativeScore,
-    maxTile: tileValue(maxTile(board)),
-    totalSteps: steps.length - 1,
-    boardSize: SIZE,
+function startJob(body) {
+  const size = body.size;
+  if (!TRAIN_SCRIPTS[size]) throw new Error(`Unknown board size: ${size}`);
+  // Runs of one size share a weights directory and metrics.jsonl
+  const active = [...jobs.values()].find(j => j.size === size && ACTIVE_JOB_STATUSES.includes(j.status));
+  if (active) throw new Error(`Job ${active.id} is already training a ${size} network`);
+
+  const args = trainArgs(size, body);
+  const child = spawn(process.execPath, ['--max-old-space-size=512', TRAIN_SCRIPTS[size], ...args], {
+    cwd: ROOT,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const job = {
+    id: nextJobId++,
+    size,
+    args,
+    status: 'running',
+    pid: child.pid,
+    startedAt: Date.now(),
+    endedAt: null,
+    exitCode: null,
+    stopRequested: false,
+    log: [],
+    child,
+  };
+  jobs.set(job.id, job);
+
+  const appendLog = (chunk) => {
+    job.log.push(...chunk.toString().split('\n').filter(line => line.trim()));
+    if (job.log.length > JOB_LOG_LINES) job.log.splice(0, job.log.length - JOB_LOG_LINES);
   };
+  child.stdout.on('data', appendLog);
+  child.stderr.on('data', appendLog);
+  child.on('error', (err) => {
+    job.log.push(`Failed to start: ${err.message}`);
+    job.status = 'failed';
+    job.endedAt = Date.now();
+  });
+  child.on('exit', (code, signal) => {
+    job.exitCode = code;
+    job.status = job.stopRequested ? 'stopped' : code === 0 ? 'finished' : 'failed';
+    if (signal) job.log.push(`Exited on ${signal}`);
+    job.endedAt = Date.now();
+    job.child = null;
+  });
+  console.log(`Training job ${job.id} [${size}] started (pid ${child.pid}): ${args.join(' ')}`);
+  return job;
+}
+
+// Pause / resume / stop a job by signal. Stopping sends SIGTERM, so the trainer
+// finishes its episode and saves interrupted-<episode>.bin before exiting.
+function controlJob(id, action) {
+  const job = jobs.get(id);
+  if (!job) throw new Error(`No training job ${id}`);
+  if (action === 'pause') {
+    if (job.status !== 'running') throw new Error(`Job ${id} is ${job.status}`);
+    job.child.kill('SIGSTOP');
+    job.status = 'paused';
+  } else if (action === 'resume') {
+    if (job.status !== 'paused') throw new Error(`Job ${id} is ${job.status}`);
+    job.child.kill('SIGCONT');
+    job.status = 'running';
+  } else if (action === 'stop') {
+    if (job.status !== 'running' && job.status !== 'paused') throw new Error(`Job ${id} is ${job.status}`);
+    job.stopRequested = true;
+    if (job.status === 'paused') job.child.kill('SIGCONT');
+    job.child.kill('SIGTERM');
+    job.status = 'stopping';
+  }
+  return job;
+}
+
+// Job as returned by the API (without the ChildProcess handle)
+function jobInfo(job) {
+  const { child, stopRequested, ...info } = job;
+  return info;
+}
+
+// ── Evaluation jobs (worker threads) ───────────────
+
+const EVAL_WORKER_URL = new URL('../src/training/eval-worker.js', import.meta.url);
+const EVAL_JOBS_KEPT = 20;
+
+const evalJobs = new Map(); // id -> evaluation job
+let nextEvalId = 1;
+
+// Evaluate the loaded network in a worker thread; the job records progress
+// (games done, running average) until the worker posts its result
+function startEvaluation(net, size, file, numGames, seed, player) {
+  const running = [...evalJobs.values()].find(j => j.status === 'running');
+  if (running) throw new Error(`Evaluation ${running.id} is still running`);
+
+  const worker = new Worker(EVAL_WORKER_URL, {
+    workerData: {
+      desc: net.describe(), buffers: net.sharedBuffers(), numGames, seed, player,
+      reachThresholds: modules[size].reachThresholds,
+    },
+  });
+  const job = {
+    id: nextEvalId++,
+    size,
+    file,
+    numGames,
+    seed,
+    player,
+    status: 'running',
+    gamesDone: 0,
+    avgScore: null,
+    startedAt: Date.now(),
+    endedAt: null,
+    result: null,
+    error: null,
+    worker,
+  };
+  evalJobs.set(job.id, job);
+  for (const id of evalJobs.keys()) {
+    if (evalJobs.size <= EVAL_JOBS_KEPT) break;
+    if (evalJobs.get(id).status !== 'running') evalJobs.delete(id);
+  }
+
+  const finish = (status) => {
+    job.status = status;
+    job.endedAt = Date.now();
+    job.worker = null;
+  };
+  worker.on('message', (msg) => {
+    if (msg.type === 'progress') {
+      job.gamesDone = msg.gamesDone;
+      job.avgScore = msg.avgScore;
+    } else if (msg.type === 'done') {
+      job.result = { ...msg.result, size, player };
+      job.gamesDone = msg.result.numGames;
+      job.avgScore = msg.result.avgScore;
+      finish('finished');
+    }
+  });
+  worker.on('error', (err) => {
+    job.error = err.message;
+    finish('failed');
+  });
+  worker.on('exit', () => {
+    if (job.status === 'running') finish(job.result ? 'finished' : 'cancelled');
+  });
+  return job;
+}
+
+function cancelEvaluation(id) {
+  const job = evalJobs.get(id);
+  if (!job) throw new Error(`No evaluation ${id}`);
+  if (job.status !== 'running') throw new Error(`Evaluation ${id} is ${job.status}`);
+  job.status = 'cancelled';
+  job.endedAt = Date.now();
+  job.worker.terminate();
+  job.worker = null;
+  return job;
+}
+
+// Evaluation job as returned by the API (without the Worker handle)
+function evalInfo(job) {
+  const { worker, ...info } = job;
+  return info;
+}
+
+// ── Play one full game recording every step (worker thread) ──────────
+
+const PLAY_WORKER_URL = new URL('../src/training/play-worker.js', import.meta.url);
+let playWorker = null; // the game being played, one at a time
+
+// Resolves with the recorded game (see play-worker.js); search players can take
+// seconds per game, so the server keeps answering meanwhile. stop() ends it early.
+function startGame(net, seed, player) {
+  if (playWorker) throw new Error('A game is already being played');
+  const worker = new Worker(PLAY_WORKER_URL, {
+    workerData: { desc: net.describe(), buffers: net.sharedBuffers(), seed, player },
+  });
+  playWorker = worker;
+  const done = new Promise((resolve, reject) => {
+    let result = null;
+    worker.on('message', (msg) => {
+      if (msg.type === 'done') result = msg.result;
+    });
+    worker.on('error', reject);
+    worker.on('exit', (code) => {
+      playWorker = null;
+      if (result) resolve(result);
+      else reject(new Error(`Game stopped (worker exit code ${code})`));
+    });
+  });
+  return { done, stop: () => worker.terminate() };
 }
 
 // ── HTTP Server ──────────────────────────────────────
@@ -163,6 +492,10 @@ const server = http.createServer(async (req, res) => {
       return json(res, { ...network.stats(), size: currentSize });
     }
 
+    if (pathname === '/api/players' && req.method === 'GET') {
+      return json(res, { players: PLAYERS });
+    }
+
     if (pathname === '/api/load' && req.method === 'POST') {
       const body = await readBody(req);
       if (!body.file) return json(res, { error: 'Missing file parameter' }, 400);
@@ -171,41 +504,114 @@ const server = http.createServer(async (req, res) => {
       return json(res, { ok: true, stats: net.stats(), file: body.file, size });
     }
 
+    // Starts an evaluation job; poll /api/evaluate/status?id= for progress
     if (pathname === '/api/evaluate' && req.method === 'POST') {
       const body = await readBody(req);
       const n = Math.min(Math.max(parseInt(body.n) || 10, 1), 10000);
       if (!network) return json(res, { error: 'No network loaded' }, 400);
-      const m = await ensureModules(currentSize);
-      const result = m.evaluateNetwork(network, n);
-      return json(res, { ...result, size: currentSize });
+      let seed, player;
+      try {
+        seed = parseSeed(body.seed);
+        player = parsePlayer(body);
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+      try {
+        return json(res, { job: evalInfo(startEvaluation(network, currentSize, loadedWeightsFile, n, seed, player)) });
+      } catch (err) {
+        return json(res, { error: err.message }, 409);
+      }
+    }
+
+    if (pathname === '/api/evaluate/status' && req.method === 'GET') {
+      const job = evalJobs.get(parseInt(url.searchParams.get('id')));
+      if (!job) return json(res, { error: 'Unknown evaluation id' }, 404);
+      return json(res, { job: evalInfo(job) });
+    }
+
+    if (pathname === '/api/evaluate/cancel' && req.method === 'POST') {
+      const body = await readBody(req);
+      try {
+        return json(res, { job: evalInfo(cancelEvaluation(parseInt(body.id))) });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
     }
 
     if (pathname === '/api/play' && req.method === 'POST') {
+      const body = await readBody(req);
       if (!network) return json(res, { error: 'No network loaded' }, 400);
-      const m = await ensureModules(currentSize);
-      const result = await playFullGame(network, m);
-      return json(res, result);
+      let seed, player;
+      try {
+        seed = parseSeed(body.seed);
+        player = parsePlayer(body);
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+      let game;
+      try {
+        game = startGame(network, seed, player);
+      } catch (err) {
+        return json(res, { error: err.message }, 409);
+      }
+      // A client that gives up (closed tab, aborted request) stops the game
+      res.on('close', game.stop);
+      try {
+        return json(res, await game.done);
+      } catch (err) {
+        return json(res, { error: err.message }, 500);
+      }
     }
 
     // ── Training Log API ──
 
     if (pathname === '/api/logs' && req.method === 'GET') {
-      const logs = [];
-      for (const name of ['train4x4.log', 'train.log']) {
-        const fp = path.join(ROOT, name);
-        if (fs.existsSync(fp)) logs.push(name);
-      }
+      const logs = LOG_FILES.filter(name => fs.existsSync(path.join(ROOT, name)));
       return json(res, { files: logs });
     }
 
     if (pathname === '/api/log' && req.method === 'GET') {
-      const file = url.searchParams.get('file') || 'train4x4.log';
-      const fp = path.join(ROOT, path.basename(file));
+      const file = url.searchParams.get('file') || LOG_FILES[0];
+      if (!LOG_FILES.includes(file)) return json(res, { error: 'Log not found' }, 404);
+      const fp = path.join(ROOT, file);
       if (!fs.existsSync(fp)) return json(res, { error: 'Log not found' }, 404);
       const text = fs.readFileSync(fp, 'utf-8');
       return json(res, { text, file });
     }
 
+    // Live metrics of the active run (default: most recently written metrics.jsonl)
+    if (pathname === '/api/training/stream' && req.method === 'GET') {
+      const file = url.searchParams.get('file') || latestMetricsFile();
+      if (!file) return json(res, { error: 'No metrics.jsonl found. Start a training run first.' }, 404);
+      if (!METRICS_FILES.includes(file)) return json(res, { error: 'Unknown metrics file' }, 404);
+      return streamMetrics(req, res, file);
+    }
+
+    // ── Training Jobs API ──
+
+    if (pathname === '/api/train/start' && req.method === 'POST') {
+      const body = await readBody(req);
+      try {
+        return json(res, { job: jobInfo(startJob(body)) });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+
+    const trainAction = pathname.match(/^\/api\/train\/(pause|resume|stop)$/);
+    if (trainAction && req.method === 'POST') {
+      const body = await readBody(req);
+      try {
+        return json(res, { job: jobInfo(controlJob(parseInt(body.id), trainAction[1])) });
+      } catch (err) {
+        return json(res, { error: err.message }, 400);
+      }
+    }
+
+    if (pathname === '/api/train/status' && req.method === 'GET') {
+      return json(res, { jobs: [...jobs.values()].reverse().map(jobInfo) });
+    }
+
     // ── GIF Gallery API ──
 
     if (pathname === '/api/gifs' && req.method === 'GET') {
@@ -356,6 +762,8 @@ td { padding:8px 12px; border-bottom:1px solid var(--surface2); }
 svg text { font-family:inherit; }
 
 /* Spinner */
+.progress { display:inline-block; width:200px; height:8px; background:var(--surface2); border:1px solid var(--border); border-radius:4px; overflow:hidden; vertical-align:middle; margin-right:8px; }
+.progress-fill { height:100%; width:0; background:var(--accent); transition:width .2s; }
 .spinner { display:inline-block; width:16px; height:16px; border:2px solid var(--border); border-top-color:var(--accent); border-radius:50%; animation:spin .6s linear infinite; vertical-align:middle; margin-right:8px; }
 @keyframes spin { to { transform:rotate(360deg); } }
 
@@ -396,7 +804,7 @@ textarea {
   <div class="tab active" data-tab="evaluate">Evaluate</div>
   <div class="tab" data-tab="replay">Game Replay</div>
   <div class="tab" data-tab="gifs">GIF Gallery</div>
-  <div class="tab" data-tab="training">Training Log</div>
+  <div class="tab" data-tab="training">Training</div>
 </div>
 
 <div class="content">
@@ -409,8 +817,16 @@ textarea {
       <span style="color:var(--text2)">|</span>
       <label style="font-size:13px;color:var(--text2)">Games:</label>
       <input type="number" id="evalN" value="100" min="1" max="10000" style="width:80px">
+      <label style="font-size:13px;color:var(--text2)">Player:</label>
+      <select id="evalPlayer" class="player-select" data-param="#evalParam"><option value="greedy">Greedy (1-ply)</option></select>
+      <input type="number" id="evalParam" style="width:70px;display:none">
+      <label style="font-size:13px;color:var(--text2)">Seed:</label>
+      <input type="number" id="evalSeed" placeholder="random" min="0" style="width:100px">
       <button id="evalBtn" disabled>Evaluate</button>
-      <span id="evalSpinner" style="display:none"><span class="spinner"></span>Running...</span>
+      <span id="evalProgress" style="display:none;font-size:13px;color:var(--text2)">
+        <span class="progress"><span class="progress-fill" id="evalProgressFill"></span></span><span id="evalProgressText"></span>
+        <button class="btn-secondary" id="evalCancelBtn">Cancel</button>
+      </span>
     </div>
 
     <div id="evalResults" style="display:none">
@@ -420,7 +836,7 @@ textarea {
       </div>
       <div class="card">
         <h3>Reach Rates</h3>
-        <table id="reachTable"><thead><tr><th>Tile</th><th>Rate</th></tr></thead><tbody></tbody></table>
+        <table id="reachTable"><thead><tr><th>Tile</th><th>Rate</th><th>95% CI (Wilson)</th></tr></thead><tbody></tbody></table>
       </div>
       <div class="card">
         <h3>Tile Distribution</h3>
@@ -432,6 +848,11 @@ textarea {
   <!-- ── Replay Tab ── -->
   <div class="panel" id="panel-replay">
     <div class="controls">
+      <label style="font-size:13px;color:var(--text2)">Player:</label>
+      <select id="playPlayer" class="player-select" data-param="#playParam"><option value="greedy">Greedy (1-ply)</option></select>
+      <input type="number" id="playParam" style="width:70px;display:none">
+      <label style="font-size:13px;color:var(--text2)">Seed:</label>
+      <input type="number" id="playSeed" placeholder="random" min="0" style="width:100px">
       <button id="playBtn" disabled>Play 1 Game</button>
       <span id="playSpinner" style="display:none"><span class="spinner"></span>Playing...</span>
       <span id="replayInfo" style="font-size:13px;color:var(--text2)"></span>
@@ -469,6 +890,65 @@ textarea {
 
   <!-- ── Training Log Tab ── -->
   <div class="panel" id="panel-training">
+    <div class="card">
+      <h3>Training Jobs</h3>
+      <div class="controls">
+        <select id="trainSize"><option value="4x4">4x4</option><option value="5x5" selected>5x5</option></select>
+        <label style="font-size:13px;color:var(--text2)">Episodes:</label>
+        <input type="number" id="trainEpisodes" value="100000" min="1" style="width:100px">
+        <label style="font-size:13px;color:var(--text2)">LR:</label>
+        <input type="text" id="trainLr" placeholder="default" style="width:80px">
+        <label style="font-size:13px;color:var(--text2)">Decay every:</label>
+        <input type="number" id="trainDecayInterval" placeholder="off" min="0" style="width:90px">
+        <label style="font-size:13px;color:var(--text2)">Factor:</label>
+        <input type="text" id="trainDecayFactor" placeholder="0.5" style="width:60px">
+        <label style="font-size:13px;color:var(--text2)">LR mode:</label>
+        <select id="trainLrMode"><option value="fixed">fixed</option><option value="tc">tc (Temporal Coherence)</option></select>
+      </div>
+      <div class="controls">
+        <label style="font-size:13px;color:var(--text2)">TD:</label>
+        <select id="trainTdMode"><option value="td0">TD(0)</option><option value="lambda">TD(&lambda;)</option><option value="nstep">n-step</option></select>
+        <span id="trainLambdaFields" style="display:none">
+          <label style="font-size:13px;color:var(--text2)">&lambda;:</label>
+          <input type="text" id="trainTdLambda" placeholder="0.5" style="width:50px">
+          <label style="font-size:13px;color:var(--text2)">Window:</label>
+          <input type="number" id="trainTdWindow" placeholder="8" min="1" style="width:60px">
+        </span>
+        <span id="trainNStepFields" style="display:none">
+          <label style="font-size:13px;color:var(--text2)">n:</label>
+          <input type="number" id="trainNStep" placeholder="3" min="1" style="width:60px">
+        </span>
+        <label style="font-size:13px;color:var(--text2)">Values/cell:</label>
+        <input type="number" id="trainNumValues" placeholder="16" min="2" style="width:60px">
+        <label style="font-size:13px;color:var(--text2)">Stages:</label>
+        <input type="text" id="trainStages" placeholder="e.g. 8192,16384" style="width:110px">
+        <label style="font-size:13px;color:var(--text2)">Eval every:</label>
+        <input type="number" id="trainEval" placeholder="default" min="1" style="width:90px">
+      </div>
+      <div class="controls">
+        <label style="font-size:13px;color:var(--text2)">Checkpoint every:</label>
+        <input type="number" id="trainCheckpoint" placeholder="default" min="1" style="width:90px">
+        <label style="font-size:13px;color:var(--text2)">Workers:</label>
+        <input type="number" id="trainWorkers" value="1" min="1" style="width:60px">
+        <label style="font-size:13px;color:var(--text2)">Seed:</label>
+        <input type="number" id="trainSeed" placeholder="random" min="0" style="width:100px">
+        <label style="font-size:13px;color:var(--text2)">Resume:</label>
+        <select id="trainResume"><option value="">(new run)</option></select>
+        <button id="trainStartBtn">Start</button>
+      </div>
+      <table id="jobTable">
+        <thead><tr><th>#</th><th>Size</th><th>Status</th><th>Started</th><th>Arguments</th><th>Last output</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    </div>
+    <div class="card">
+      <h3>Live Training</h3>
+      <div class="controls">
+        <button id="liveBtn">Watch Active Run</button>
+        <span class="step-info" id="liveStatus">Streams the most recently written metrics.jsonl (or the one selected below)</span>
+      </div>
+      <div class="stat-grid" id="liveStats" style="display:none"></div>
+    </div>
     <div class="controls">
       <select id="logFileSelect"><option value="">Select log file...</option></select>
       <button id="loadLogBtn">Load from Server</button>
@@ -477,9 +957,9 @@ textarea {
     </div>
     <div class="upload-area" id="uploadArea">
       <p>Or click to upload / paste log text below</p>
-      <input type="file" id="logFileInput" accept=".txt,.log">
+      <input type="file" id="logFileInput" accept=".jsonl,.txt,.log">
     </div>
-    <textarea id="logText" placeholder="Paste training log output here..."></textarea>
+    <textarea id="logText" placeholder="Paste metrics.jsonl or training log output here..."></textarea>
     <div id="logCharts" style="display:none">
       <div class="card">
         <h3>Average Score vs Episode</h3>
@@ -545,12 +1025,14 @@ $$('.tab').forEach(tab => {
 async function loadWeightsList() {
   const data = await api('/api/weights?size=' + currentBoardSize);
   const sel = $('#weightsSelect');
+  const selected = sel.value; // keep the selection across refreshes
   sel.innerHTML = '<option value="">Select weights...</option>';
   data.files.forEach(f => {
     const o = document.createElement('option');
     o.value = f; o.textContent = f;
     sel.appendChild(o);
   });
+  if (data.files.includes(selected)) sel.value = selected;
 }
 loadWeightsList();
 
@@ -563,38 +1045,134 @@ $('#loadBtn').addEventListener('click', async () => {
   try {
     const data = await apiPost('/api/load', { file, size: currentBoardSize });
     if (data.error) { alert(data.error); return; }
-    $('#networkStatus').textContent = '[' + currentBoardSize + '] ' + file + ' | ' + data.stats.totalMB + ' MB | ' + data.stats.totalVariants + ' variants';
+    $('#networkStatus').textContent = '[' + currentBoardSize + '] ' + file + ' | ' + data.stats.totalMB + ' MB | ' + data.stats.totalVariants + ' variants' + (data.stats.numStages ? ' | ' + data.stats.numStages + ' stages' : '');
     $('#evalBtn').disabled = false;
     $('#playBtn').disabled = false;
   } catch(e) { alert('Load failed: ' + e.message); }
   finally { $('#loadBtn').disabled = false; $('#loadBtn').textContent = 'Load'; }
 });
 
+// ── Player selection ──
+// Options come from the server's player registry; a player's main option
+// (param, e.g. search depth) gets the number input next to its select
+let players = [];
+
+function updateParamInput(select) {
+  const input = $(select.dataset.param);
+  const player = players.find(p => p.name === select.value);
+  const param = player && player.param;
+  input.style.display = param ? '' : 'none';
+  if (!param) return;
+  input.min = param.min;
+  input.max = param.max;
+  input.value = param.default;
+  input.title = param.name;
+}
+
+async function loadPlayers() {
+  players = (await api('/api/players')).players;
+  for (const select of $$('.player-select')) {
+    select.innerHTML = players.map(p => '<option value="' + p.name + '">' + p.label + '</option>').join('');
+    select.addEventListener('change', () => updateParamInput(select));
+    updateParamInput(select);
+  }
+}
+
+function playerParams(prefix) {
+  const name = $('#' + prefix + 'Player').value;
+  const player = players.find(p => p.name === name);
+  const params = { player: name };
+  if (player && player.param) params[player.param.name] = parseInt($('#' + prefix + 'Param').value) || player.param.default;
+  return params;
+}
+
+function playerLabel(spec) {
+  return spec ? spec.label : 'Greedy (1-ply)';
+}
+
+loadPlayers();
+
 // ── Evaluate ──
+// The server plays the games in a worker thread; poll the job for progress
+const EVAL_POLL_MS = 500;
+let evalJobId = null;
+
 $('#evalBtn').addEventListener('click', async () => {
   const n = parseInt($('#evalN').value) || 100;
   $('#evalBtn').disabled = true;
-  $('#evalSpinner').style.display = 'inline';
   try {
-    const data = await apiPost('/api/evaluate', { n });
-    if (data.error) { alert(data.error); return; }
-    showEvalResults(data);
-  } catch(e) { alert('Evaluate failed: ' + e.message); }
-  finally { $('#evalBtn').disabled = false; $('#evalSpinner').style.display = 'none'; }
+    const data = await apiPost('/api/evaluate', Object.assign({ n, seed: $('#evalSeed').value }, playerParams('eval')));
+    if (data.error) { alert(data.error); $('#evalBtn').disabled = false; return; }
+    evalJobId = data.job.id;
+    renderEvalProgress(data.job);
+    $('#evalProgress').style.display = 'inline';
+    setTimeout(pollEvaluation, EVAL_POLL_MS);
+  } catch(e) { alert('Evaluate failed: ' + e.message); $('#evalBtn').disabled = false; }
 });
 
+$('#evalCancelBtn').addEventListener('click', async () => {
+  if (evalJobId === null) return;
+  const data = await apiPost('/api/evaluate/cancel', { id: evalJobId });
+  if (data.error) alert(data.error);
+});
+
+async function pollEvaluation() {
+  const id = evalJobId;
+  let job;
+  try {
+    const data = await api('/api/evaluate/status?id=' + id);
+    if (data.error) throw new Error(data.error);
+    job = data.job;
+  } catch(e) {
+    finishEvaluation();
+    alert('Evaluate failed: ' + e.message);
+    return;
+  }
+  if (id !== evalJobId) return;
+  renderEvalProgress(job);
+  if (job.status === 'running') { setTimeout(pollEvaluation, EVAL_POLL_MS); return; }
+  finishEvaluation();
+  if (job.status === 'finished') showEvalResults(job.result);
+  else if (job.status === 'failed') alert('Evaluate failed: ' + job.error);
+}
+
+function finishEvaluation() {
+  evalJobId = null;
+  $('#evalBtn').disabled = false;
+  $('#evalProgress').style.display = 'none';
+}
+
+function renderEvalProgress(job) {
+  $('#evalProgressFill').style.width = (job.gamesDone / job.numGames * 100).toFixed(1) + '%';
+  $('#evalProgressText').textContent = job.gamesDone + ' / ' + job.numGames + ' games' +
+    (job.avgScore !== null ? ' | avg ' + Math.round(job.avgScore).toLocaleString() : '') + ' ';
+}
+
 function showEvalResults(data) {
+  const score = x => Math.round(x).toLocaleString();
+  const pct = x => x.toFixed(1) + '%';
+  const p = data.scorePercentiles;
   $('#evalResults').style.display = 'block';
   $('#evalStats').innerHTML =
-    statItem('Avg Score', Math.round(data.avgScore).toLocaleString()) +
-    statItem('Median Score', Math.round(data.medScore).toLocaleString()) +
-    statItem('Games', data.numGames);
+    statItem('Avg Score', score(data.avgScore)) +
+    statItem('Avg 95% CI', score(data.scoreCI[0]) + ' – ' + score(data.scoreCI[1])) +
+    statItem('Median Score', score(data.medScore)) +
+    statItem('Std Dev', score(data.stdScore)) +
+    statItem('Min / Max', score(data.minScore) + ' / ' + score(data.maxScore)) +
+    statItem('P10 / P25 / P75 / P90', [p[10], p[25], p[75], p[90]].map(score).join(' / ')) +
+    statItem('Avg Moves', data.avgMoves.toFixed(0)) +
+    statItem('Time / Game', data.msPerGame.toFixed(1) + ' ms') +
+    statItem('Games', data.numGames) +
+    statItem('Player', playerLabel(data.player)) +
+    (data.seed !== null ? statItem('Seed', data.seed) : '');
 
   const tbody = $('#reachTable tbody');
   tbody.innerHTML = '';
   for (const [tile, rate] of Object.entries(data.reachRates)) {
+    const ci = data.reachIntervals[tile];
     const tr = document.createElement('tr');
-    tr.innerHTML = '<td>' + Number(tile).toLocaleString() + '</td><td>' + rate + '</td>';
+    tr.innerHTML = '<td>' + Number(tile).toLocaleString() + '</td><td>' + pct(rate) + '</td><td>' +
+      pct(ci[0]) + ' – ' + pct(ci[1]) + '</td>';
     tbody.appendChild(tr);
   }
 
@@ -651,7 +1229,7 @@ $('#playBtn').addEventListener('click', async () => {
   $('#playSpinner').style.display = 'inline';
   stopReplay();
   try {
-    const data = await apiPost('/api/play', {});
+    const data = await apiPost('/api/play', Object.assign({ seed: $('#playSeed').value }, playerParams('play')));
     if (data.error) { alert(data.error); return; }
     replayData = data;
     replayIdx = 0;
@@ -661,7 +1239,7 @@ $('#playBtn').addEventListener('click', async () => {
     $('#replayArea').style.display = 'block';
     $('#replaySlider').max = data.steps.length - 1;
     $('#replaySlider').value = 0;
-    $('#replayInfo').textContent = 'Score: ' + data.finalScore.toLocaleString() + ' | Max: ' + data.maxTile.toLocaleString() + ' | Steps: ' + data.totalSteps;
+    $('#replayInfo').textContent = 'Score: ' + data.finalScore.toLocaleString() + ' | Max: ' + data.maxTile.toLocaleString() + ' | Steps: ' + data.totalSteps + ' | ' + playerLabel(data.player) + (data.seed !== null ? ' | Seed: ' + data.seed : '');
     renderStep();
   } catch(e) { alert('Play failed: ' + e.message); }
   finally { $('#playBtn').disabled = false; $('#playSpinner').style.display = 'none'; }
@@ -693,6 +1271,14 @@ function renderStep() {
   }
   info += '\\nCumulative Score: ' + step.cumulativeScore.toLocaleString();
   if (step.vAfterstate !== null) info += '\\nV(afterstate): ' + step.vAfterstate.toLocaleString();
+  if (step.moveValues) {
+    info += '\\nSearch values:';
+    for (let dir = 0; dir < 4; dir++) {
+      const v = step.moveValues[dir];
+      const text = v === null ? '(illegal)' : v.toLocaleString();
+      info += '\\n&nbsp;&nbsp;' + (dir === step.direction ? '<b>' + DIR_NAMES[dir] + ': ' + text + '</b>' : DIR_NAMES[dir] + ': ' + text);
+    }
+  }
   $('#stepDetails').innerHTML = info.split('\\n').join('<br>');
 }
 
@@ -821,13 +1407,247 @@ function extractReachRates(line) {
   const rates = {};
   const thresholds = ['512','1024','2048','4096','8192','16384'];
   for (const t of thresholds) {
-    const m = line.match(new RegExp('"' + t + '"\\s*:\\s*"([\\d.]+)%"'));
+    // JSON ('"2048":"85.0%"') or the current log format ('2048: 85.0% (82.6-87.1)')
+    const m = line.match(new RegExp('(?:"' + t + '"\\s*:\\s*"|\\b' + t + ':\\s*)([\\d.]+)%'));
     if (m) rates['r' + t] = parseFloat(m[1]);
   }
   return rates;
 }
 
+// metrics.jsonl (see src/training/metrics.js): one JSON record per report.
+// Reach rates come from the rolling window, which every record has.
+function parseMetrics(text) {
+  const entries = [];
+  for (const line of text.split('\\n')) {
+    if (!line.trim()) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch (e) { continue; }
+    if (typeof rec.episode !== 'number') continue;
+    entries.push(metricsEntry(rec));
+  }
+  return entries;
+}
+
+// Chart entry for one metrics record
+function metricsEntry(rec) {
+  const entry = { episode: rec.episode, avgScore: rec.avgScore };
+  if (rec.eval) entry.evalAvg = rec.eval.avgScore;
+  for (const [tile, rate] of Object.entries(rec.reachRates || {})) entry['r' + tile] = rate;
+  return entry;
+}
+
+// ── Training Jobs ──
+
+const ACTIVE_JOB_STATUSES = ['running', 'paused', 'stopping'];
+let jobsWereActive = false;
+
+// Checkpoints of the selected size that a new job can resume from
+async function loadResumeList() {
+  const data = await api('/api/weights?size=' + $('#trainSize').value);
+  const sel = $('#trainResume');
+  const selected = sel.value;
+  sel.innerHTML = '<option value="">(new run)</option>';
+  data.files.filter(f => f.endsWith('.bin')).forEach(f => {
+    const o = document.createElement('option');
+    o.value = f; o.textContent = f;
+    sel.appendChild(o);
+  });
+  if (data.files.includes(selected)) sel.value = selected;
+}
+$('#trainSize').addEventListener('change', loadResumeList);
+loadResumeList();
+
+// λ / window apply to TD(λ) only, n to n-step only
+function updateTdFields() {
+  const mode = $('#trainTdMode').value;
+  $('#trainLambdaFields').style.display = mode === 'lambda' ? '' : 'none';
+  $('#trainNStepFields').style.display = mode === 'nstep' ? '' : 'none';
+}
+$('#trainTdMode').addEventListener('change', updateTdFields);
+
+$('#trainStartBtn').addEventListener('click', async () => {
+  $('#trainStartBtn').disabled = true;
+  const tdMode = $('#trainTdMode').value;
+  try {
+    const data = await apiPost('/api/train/start', {
+      size: $('#trainSize').value,
+      episodes: $('#trainEpisodes').value,
+      lr: $('#trainLr').value,
+      lrDecayInterval: $('#trainDecayInterval').value,
+      lrDecayFactor: $('#trainDecayFactor').value,
+      lrMode: $('#trainLrMode').value,
+      tdMode: tdMode,
+      tdLambda: tdMode === 'lambda' ? $('#trainTdLambda').value : '',
+      tdWindow: tdMode === 'lambda' ? $('#trainTdWindow').value : '',
+      nStep: tdMode === 'nstep' ? $('#trainNStep').value : '',
+      numValues: $('#trainNumValues').value,
+      stages: $('#trainStages').value.replace(/\\s+/g, ''),
+      evalInterval: $('#trainEval').value,
+      checkpointInterval: $('#trainCheckpoint').value,
+      workers: $('#trainWorkers').value,
+      seed: $('#trainSeed').value,
+      resume: $('#trainResume').value,
+    });
+    if (data.error) { alert(data.error); return; }
+    refreshJobs();
+  } catch(e) { alert('Start failed: ' + e.message); }
+  finally { $('#trainStartBtn').disabled = false; }
+});
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function jobButtons(job) {
+  const btn = (action, label, cls) =>
+    '<button class="' + cls + '" data-id="' + job.id + '" data-action="' + action + '">' + label + '</button> ';
+  if (job.status === 'running') return btn('pause', 'Pause', 'btn-secondary') + btn('stop', 'Stop', '');
+  if (job.status === 'paused') return btn('resume', 'Resume', 'btn-secondary') + btn('stop', 'Stop', '');
+  return '';
+}
+
+async function refreshJobs() {
+  let data;
+  try { data = await api('/api/train/status'); } catch(e) { return; }
+  const tbody = $('#jobTable tbody');
+  tbody.innerHTML = '';
+  for (const job of data.jobs) {
+    const tr = document.createElement('tr');
+    const lastLine = job.log.length > 0 ? job.log[job.log.length - 1] : '';
+    tr.innerHTML =
+      '<td>' + job.id + '</td>' +
+      '<td>' + job.size + '</td>' +
+      '<td>' + job.status + (job.exitCode !== null && job.exitCode !== 0 ? ' (exit ' + job.exitCode + ')' : '') + '</td>' +
+      '<td>' + new Date(job.startedAt).toLocaleTimeString() + '</td>' +
+      '<td style="font-size:11px">' + escapeHtml(job.args.join(' ') || '(defaults)') + '</td>' +
+      '<td style="font-size:11px;color:var(--text2)" title="' + escapeHtml(job.log.join(String.fromCharCode(10))) + '">' + escapeHtml(lastLine) + '</td>' +
+      '<td style="white-space:nowrap">' + jobButtons(job) + '</td>';
+    tbody.appendChild(tr);
+  }
+  // New checkpoints of running jobs show up in the weights selectors
+  const active = data.jobs.some(j => ACTIVE_JOB_STATUSES.includes(j.status));
+  if (active || jobsWereActive) {
+    loadWeightsList();
+    loadResumeList();
+  }
+  jobsWereActive = active;
+}
+
+$('#jobTable').addEventListener('click', async e => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  btn.disabled = true;
+  try {
+    const data = await apiPost('/api/train/' + btn.dataset.action, { id: btn.dataset.id });
+    if (data.error) alert(data.error);
+  } catch(err) { alert(btn.dataset.action + ' failed: ' + err.message); }
+  refreshJobs();
+});
+refreshJobs();
+setInterval(refreshJobs, 3000);
+
+// ── Live Training (SSE from /api/training/stream) ──
+
+let liveSource = null;
+let liveFile = null;
+let liveRecords = [];
+let liveUpdatedAt = null; // ms timestamp of the newest record
+let liveTimer = null;
+
+$('#liveBtn').addEventListener('click', () => {
+  if (liveSource) { stopLive('Stopped watching'); return; }
+  const selected = $('#logFileSelect').value;
+  const query = selected.endsWith('.jsonl') ? '?file=' + encodeURIComponent(selected) : '';
+  liveSource = new EventSource('/api/training/stream' + query);
+  $('#liveBtn').textContent = 'Stop Watching';
+  $('#liveStatus').textContent = 'Connecting...';
+
+  liveSource.addEventListener('reset', e => {
+    const data = JSON.parse(e.data);
+    liveFile = data.file;
+    liveRecords = data.records;
+    liveUpdatedAt = data.mtime;
+    renderLive();
+  });
+  liveSource.addEventListener('record', e => {
+    liveRecords.push(JSON.parse(e.data));
+    liveUpdatedAt = Date.now();
+    renderLive();
+  });
+  liveSource.onerror = () => {
+    // EventSource retries on its own; a failed request (e.g. 404) closes it
+    if (liveSource.readyState === EventSource.CLOSED) stopLive('No metrics.jsonl found. Start a training run first.');
+    else $('#liveStatus').textContent = 'Connection lost, retrying...';
+  };
+  liveTimer = setInterval(renderLiveStatus, 1000);
+});
+
+function stopLive(message) {
+  if (liveSource) liveSource.close();
+  liveSource = null;
+  clearInterval(liveTimer);
+  $('#liveBtn').textContent = 'Watch Active Run';
+  $('#liveStatus').textContent = message;
+}
+
+function renderLive() {
+  renderLiveStatus();
+  if (liveRecords.length === 0) return;
+  const entries = liveRecords.map(metricsEntry);
+  $('#logCharts').style.display = 'block';
+  renderScoreChart(entries);
+  renderReachRateChart(entries);
+}
+
+// A run counts as active while records keep arriving at roughly the report interval
+function liveState() {
+  const last = liveRecords[liveRecords.length - 1];
+  const prev = liveRecords[liveRecords.length - 2];
+  const interval = prev ? last.elapsedSeconds - prev.elapsedSeconds : 60;
+  const sinceUpdate = (Date.now() - liveUpdatedAt) / 1000;
+  if (last.episode >= last.totalEpisodes) return { label: 'finished', running: false, sinceUpdate };
+  if (sinceUpdate > interval * 2 + 30) return { label: 'not running', running: false, sinceUpdate };
+  return { label: 'running', running: true, sinceUpdate };
+}
+
+function renderLiveStatus() {
+  if (!liveSource || liveFile === null) return;
+  if (liveRecords.length === 0) {
+    $('#liveStatus').textContent = liveFile + ': waiting for the first progress report...';
+    $('#liveStats').style.display = 'none';
+    return;
+  }
+  const last = liveRecords[liveRecords.length - 1];
+  const state = liveState();
+  const remaining = last.totalEpisodes - last.episode;
+  const eta = state.running
+    ? formatDuration(Math.max(remaining / last.episodesPerSec - state.sinceUpdate, 0))
+    : '-';
+  $('#liveStatus').textContent = liveFile + ': ' + state.label + ', last report ' + formatDuration(state.sinceUpdate) + ' ago';
+  $('#liveStats').style.display = 'grid';
+  $('#liveStats').innerHTML =
+    statItem('Episode', last.episode.toLocaleString() + ' / ' + last.totalEpisodes.toLocaleString()) +
+    statItem('Speed', Math.round(last.episodesPerSec) + ' ep/s') +
+    statItem('ETA', eta) +
+    statItem('Avg Score', Math.round(last.avgScore).toLocaleString()) +
+    statItem('Max Tile', last.maxTile.toLocaleString()) +
+    statItem('LR', last.learningRate.toExponential(2));
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = Math.floor(seconds % 60);
+  if (h > 0) return h + 'h' + m + 'm';
+  if (m > 0) return m + 'm' + sec + 's';
+  return sec + 's';
+}
+
+// Free-text console logs are parsed with regexes (older runs without metrics.jsonl)
 function parseTrainingLog(text) {
+  if (text.trimStart().startsWith('{')) return parseMetrics(text);
   const entries = [];
   const lines = text.split('\\n');
   let lastEntry = null;
@@ -852,7 +1672,7 @@ function parseTrainingLog(text) {
       continue;
     }
 
-    // Reach rates on separate line: '  Reach rates: {"512":"98.0%",...}'
+    // Reach rates on separate line: '  Reach rates: 512: 98.0% (97.1-98.6) | ...'
     if (line.includes('Reach rates:') && lastEntry) {
       Object.assign(lastEntry, extractReachRates(line));
       continue;
@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 // Browser play: uses Playwright to play the actual 2048 game
-// Usage: node scripts/play-browser.js [--weights PATH] [--url URL] [--games N] [--expectimax] [--depth N]
+// Usage: node scripts/play-browser.js [--weights PATH] [--url URL] [--games N] [--player NAME]
+//        [--depth N] [--time-ms MS] [--iterations N] [--expectimax]
+// --player takes any name from src/player/registry.js (default greedy; --expectimax = --player expectimax)
+// --time-ms gives a search player a per-move budget (expectimax by default)
 
 import { chromium } from 'playwright';
-import { NTupleNetwork } from '../src/network/ntuple.js';
+import { loadNetwork } from '../src/network/load-network.js';
 import { BrowserPlayer } from '../src/player/browser-player.js';
+import { PLAYER_NAMES, playerLabel } from '../src/player/registry.js';
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -12,18 +16,28 @@ function parseArgs() {
     weights: 'weights/final.bin',
     url: 'http://localhost:5173/2048_project/',
     games: 1,
-    expectimax: false,
+    player: null,
     depth: 2,
+    timeMs: null,
+    iterations: undefined,
   };
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--weights': opts.weights = args[++i]; break;
       case '--url': opts.url = args[++i]; break;
       case '--games': opts.games = parseInt(args[++i]); break;
-      case '--expectimax': opts.expectimax = true; break;
+      case '--player': opts.player = args[++i]; break;
+      case '--expectimax': opts.player = 'expectimax'; break;
       case '--depth': opts.depth = parseInt(args[++i]); break;
+      case '--time-ms': opts.timeMs = parseInt(args[++i]); break;
+      case '--iterations': opts.iterations = parseInt(args[++i]); break;
     }
   }
+  opts.player ??= opts.timeMs !== null ? 'expectimax' : 'greedy';
+  if (!PLAYER_NAMES.includes(opts.player)) {
+    console.error(`Unknown --player ${opts.player} (expected ${PLAYER_NAMES.join(', ')})`);
+    process.exit(1);
+  }
   return opts;
 }
 
@@ -31,13 +45,10 @@ async function main() {
   const opts = parseArgs();
 
   // Load network
-  const network = new NTupleNetwork();
+  let network;
   try {
-    if (opts.weights.endsWith('.bin')) {
-      network.loadBinary(opts.weights);
-    } else {
-      network.load(opts.weights);
-    }
+    network = loadNetwork(opts.weights);
+    if (network.boardSize !== '5x5') throw new Error(`${network.boardSize} network, but the browser game is 5x5`);
     console.log(`Loaded weights from ${opts.weights}`);
   } catch (e) {
     console.error(`Failed to load weights: ${e.message}`);
@@ -51,10 +62,9 @@ async function main() {
   await page.evaluate(() => localStorage.clear());
   await page.reload({ waitUntil: 'networkidle', timeout: 10000 });
 
-  const player = new BrowserPlayer(page, network, {
-    useExpectimax: opts.expectimax,
-    depth: opts.depth,
-  });
+  const playerOptions = { depth: opts.depth, timeMs: opts.timeMs, iterations: opts.iterations };
+  const player = new BrowserPlayer(page, network, { player: opts.player, ...playerOptions });
+  console.log(`Player: ${playerLabel(opts.player, playerOptions)}`);
 
   const results = [];
   for (let i = 0; i < opts.games; i++) {
@@ -7,8 +7,19 @@
 //   --checkpoint-interval N   Save every N episodes (default: 25000)
 //   --lr-decay-interval N     Decay LR every N episodes (0=off, default: 0)
 //   --lr-decay-factor N       LR decay factor (default: 0.5)
+//   --lr-mode MODE            fixed (default) or tc (Temporal Coherence adaptive rates)
+//   --td-mode MODE            td0 (default), lambda or nstep
+//   --td-lambda N             λ for --td-mode lambda (default: 0.5)
+//   --td-window N             Moves in the λ-return window (default: 8)
+//   --n-step N                Steps for --td-mode nstep (default: 3)
+//   --seed N                  Seed tile spawns for a reproducible run
+//   --workers N               Worker threads playing episodes on shared LUTs (default: 1)
+//   --num-values N            Alphabet size per cell (default: 16, i.e. up to 32768)
+//   --stages T1,T2            Multi-stage network split at these max tiles (powers of two, e.g. 8192,16384)
 //   --resume PATH             Resume from checkpoint file
 
+import { parseSeed } from '../src/game/rng.js';
+import { parseStageTiles } from '../src/network/multi-stage.js';
 import { Trainer } from '../src/training/trainer4x4.js';
 
 function parseArgs() {
@@ -24,7 +35,16 @@ function parseArgs() {
       case '--checkpoint-interval': opts.checkpointInterval = parseInt(val); break;
       case '--lr-decay-interval': opts.lrDecayInterval = parseInt(val); break;
       case '--lr-decay-factor': opts.lrDecayFactor = parseFloat(val); break;
+      case '--lr-mode': opts.lrMode = val; break;
+      case '--td-mode': opts.tdMode = val; break;
+      case '--td-lambda': opts.tdLambda = parseFloat(val); break;
+      case '--td-window': opts.tdWindow = parseInt(val); break;
+      case '--n-step': opts.nStep = parseInt(val); break;
       case '--resume': opts.resumeFrom = val; break;
+      case '--workers': opts.workers = parseInt(val); break;
+      case '--seed': opts.seed = parseSeed(val); break;
+      case '--num-values': opts.numValues = parseInt(val); break;
+      case '--stages': opts.stages = parseStageTiles(val); break;
       default:
         console.error(`Unknown option: ${key}`);
         process.exit(1);
@@ -33,6 +53,14 @@ function parseArgs() {
   return opts;
 }
 
-const opts = parseArgs();
+let opts;
+try {
+  opts = parseArgs();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 const trainer = new Trainer(opts);
-trainer.train();
+await trainer.train();
+// Exit like a process killed by the signal so callers can tell an interrupted run
+if (trainer.interrupted) process.exitCode = trainer.stopSignal === 'SIGINT' ? 130 : 143;
@@ -0,0 +1,316 @@
+// Board-size-parameterized 2048 game engine
+// Board: Uint8Array(rows*cols) with log2 encoding (0=empty, 1=2, 2=4, ..., 15=32768)
+// createEngine({ rows, cols }) returns the API shared by engine.js (5x5) and engine4x4.js
+// Tile spawns draw from an `rng` function (default Math.random, see rng.js for a seeded one)
+
+// Convert log2 value to actual value
+export function tileValue(log2val) {
+  return log2val === 0 ? 0 : 1 << log2val;
+}
+
+// Convert actual value to log2
+export function toLog2(val) {
+  if (val === 0) return 0;
+  let n = 0;
+  let v = val;
+  while (v > 1) { v >>= 1; n++; }
+  return n;
+}
+
+export function cloneBoard(board) {
+  return new Uint8Array(board);
+}
+
+// Slide a single row/col toward index 0, returning reward
+function slideLine(line, size) {
+  // Compact: remove zeros
+  let write = 0;
+  for (let i = 0; i < size; i++) {
+    if (line[i] !== 0) {
+      line[write++] = line[i];
+    }
+  }
+  for (let i = write; i < size; i++) line[i] = 0;
+
+  // Merge
+  let reward = 0;
+  for (let i = 0; i < size - 1; i++) {
+    if (line[i] !== 0 && line[i] === line[i + 1]) {
+      line[i]++;
+      reward += 1 << line[i]; // merged value
+      line[i + 1] = 0;
+      i++; // skip merged tile
+    }
+  }
+
+  // Compact again after merge
+  write = 0;
+  for (let i = 0; i < size; i++) {
+    if (line[i] !== 0) {
+      line[write++] = line[i];
+    }
+  }
+  for (let i = write; i < size; i++) line[i] = 0;
+
+  return reward;
+}
+
+// ── Row-transition lookup tables ──
+// For a line of length len (<= MAX_TABLE_LINE), table[packed] holds the slid line
+// in the low 4*len bits and a merge mask (bit i = cell i was produced by a merge)
+// in the next len bits. Reward is recovered from the mask, so one Uint32 per entry
+// suffices: 16^4 entries (256KB) for 4-wide lines, 16^5 (4MB) for 5-wide lines.
+// Lines whose merge would produce a tile above 15 are stored as NO_ENTRY and
+// handled by slideLine, as are boards holding such tiles.
+
+const MAX_TABLE_LINE = 5;
+const NO_ENTRY = 0xffffffff;
+const moveTables = new Map(); // len -> Uint32Array, shared by all engines
+
+function buildMoveTable(len) {
+  const table = new Uint32Array(16 ** len);
+  const line = new Uint8Array(len);
+  for (let packed = 0; packed < table.length; packed++) {
+    for (let i = 0; i < len; i++) line[i] = (packed >>> (4 * i)) & 15;
+    slideLine(line, len);
+
+    let result = 0;
+    let merges = 0;
+    let valid = true;
+    // A cell is a merge product if it differs from the tile that slid into it
+    let read = 0;
+    for (let i = 0; i < len; i++) {
+      const v = line[i];
+      if (v > 15) { valid = false; break; }
+      result |= v << (4 * i);
+      if (v === 0) continue;
+      while (((packed >>> (4 * read)) & 15) === 0) read++;
+      if (((packed >>> (4 * read)) & 15) !== v) {
+        merges |= 1 << i;
+        read++;
+        while (((packed >>> (4 * read)) & 15) === 0) read++;
+      }
+      read++;
+    }
+    table[packed] = valid ? (result | (merges << (4 * len))) >>> 0 : NO_ENTRY;
+  }
+  return table;
+}
+
+// Lazily build (and cache) the table for a line length; null when too long
+function getMoveTable(len) {
+  if (len > MAX_TABLE_LINE) return null;
+  let table = moveTables.get(len);
+  if (!table) {
+    table = buildMoveTable(len);
+    moveTables.set(len, table);
+  }
+  return table;
+}
+
+// Build an engine for a rows x cols board.
+// SIZE is only set for square boards; use ROWS/COLS for rectangular ones.
+export function createEngine({ rows = 4, cols = rows } = {}) {
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 2 || cols < 2) {
+    throw new Error(`Invalid board size: ${rows}x${cols}`);
+  }
+
+  const ROWS = rows;
+  const COLS = cols;
+  const TOTAL = ROWS * COLS;
+  const SIZE = ROWS === COLS ? ROWS : null;
+  const MAX_LINE = Math.max(ROWS, COLS);
+
+  function createBoard(rng = Math.random) {
+    const board = new Uint8Array(TOTAL);
+    addRandomTile(board, rng);
+    addRandomTile(board, rng);
+    return board;
+  }
+
+  // Add a random tile (90% = 2 i.e. log2=1, 10% = 4 i.e. log2=2)
+  function addRandomTile(board, rng = Math.random) {
+    const empty = [];
+    for (let i = 0; i < TOTAL; i++) {
+      if (board[i] === 0) empty.push(i);
+    }
+    if (empty.length === 0) return false;
+    const idx = empty[Math.floor(rng() * empty.length)];
+    board[idx] = rng() < 0.9 ? 1 : 2;
+    return true;
+  }
+
+  // Board indices of every line, per direction, ordered toward the slide target:
+  // lineIndices[dir][k * len + i] = cell i of line k
+  const lineIndices = [0, 1, 2, 3].map(dir => {
+    const vertical = dir === 0 || dir === 2;
+    const numLines = vertical ? COLS : ROWS;
+    const len = vertical ? ROWS : COLS;
+    const indices = new Int32Array(numLines * len);
+    for (let k = 0; k < numLines; k++) {
+      for (let i = 0; i < len; i++) {
+        let cell;
+        switch (dir) {
+          case 0: cell = i * COLS + k; break;              // up: column k, top to bottom
+          case 1: cell = k * COLS + (COLS - 1 - i); break; // right: row k, right to left
+          case 2: cell = (ROWS - 1 - i) * COLS + k; break; // down: column k, bottom to top
+          case 3: cell = k * COLS + i; break;              // left: row k, left to right
+        }
+        indices[k * len + i] = cell;
+      }
+    }
+    return indices;
+  });
+
+  // Scratch buffers for the slideLine fallback (move is not re-entrant)
+  const line = new Uint8Array(MAX_LINE);
+  const orig = new Uint8Array(MAX_LINE);
+
+  // Slide one line with slideLine; used when no table exists or a tile exceeds 4 bits
+  function moveLineSlow(board, indices, base, len) {
+    for (let i = 0; i < len; i++) line[i] = board[indices[base + i]];
+    orig.set(line);
+    const reward = slideLine(line, len);
+    let moved = false;
+    for (let i = 0; i < len; i++) {
+      if (line[i] !== orig[i]) { moved = true; break; }
+    }
+    if (moved) {
+      for (let i = 0; i < len; i++) board[indices[base + i]] = line[i];
+    }
+    return { moved, reward };
+  }
+
+  // Directions: 0=up, 1=right, 2=down, 3=left
+  // Returns { moved, reward } and mutates board to afterstate (before random tile)
+  function move(board, dir) {
+    const vertical = dir === 0 || dir === 2;
+    const numLines = vertical ? COLS : ROWS;
+    const len = vertical ? ROWS : COLS;
+    const indices = lineIndices[dir];
+    const table = getMoveTable(len);
+    const resultMask = (1 << (4 * len)) - 1;
+    let reward = 0;
+    let moved = false;
+
+    for (let k = 0; k < numLines; k++) {
+      const base = k * len;
+
+      // Pack the line 4 bits per cell (cell i at bits 4i..4i+3)
+      let packed = 0;
+      let overflow = table === null;
+      for (let i = 0; i < len && !overflow; i++) {
+        const v = board[indices[base + i]];
+        if (v > 15) overflow = true;
+        else packed |= v << (4 * i);
+      }
+
+      const entry = overflow ? NO_ENTRY : table[packed];
+      if (entry === NO_ENTRY) {
+        const result = moveLineSlow(board, indices, base, len);
+        if (result.moved) moved = true;
+        reward += result.reward;
+        continue;
+      }
+
+      const result = entry & resultMask;
+      if (result === packed) continue;
+      moved = true;
+
+      // Write back and add the value of every merged cell to the reward
+      const merges = entry >>> (4 * len);
+      for (let i = 0; i < len; i++) {
+        const v = (result >>> (4 * i)) & 15;
+        board[indices[base + i]] = v;
+        if (merges & (1 << i)) reward += 1 << v;
+      }
+    }
+
+    return { moved, reward };
+  }
+
+  // Move without mutating (returns new board as afterstate)
+  function moveClone(board, dir) {
+    const after = cloneBoard(board);
+    const result = move(after, dir);
+    return { board: after, moved: result.moved, reward: result.reward };
+  }
+
+  // Check if any move is possible
+  function canMove(board) {
+    for (let i = 0; i < TOTAL; i++) {
+      if (board[i] === 0) return true;
+    }
+    // Check adjacent merges
+    for (let r = 0; r < ROWS; r++) {
+      for (let c = 0; c < COLS; c++) {
+        const v = board[r * COLS + c];
+        if (c < COLS - 1 && v === board[r * COLS + c + 1]) return true;
+        if (r < ROWS - 1 && v === board[(r + 1) * COLS + c]) return true;
+      }
+    }
+    return false;
+  }
+
+  // Get the maximum tile value (log2)
+  function maxTile(board) {
+    let max = 0;
+    for (let i = 0; i < TOTAL; i++) {
+      if (board[i] > max) max = board[i];
+    }
+    return max;
+  }
+
+  // Count empty cells
+  function emptyCount(board) {
+    let count = 0;
+    for (let i = 0; i < TOTAL; i++) {
+      if (board[i] === 0) count++;
+    }
+    return count;
+  }
+
+  // Pretty print the board
+  function printBoard(board) {
+    const lines = [];
+    for (let r = 0; r < ROWS; r++) {
+      const row = [];
+      for (let c = 0; c < COLS; c++) {
+        row.push(String(tileValue(board[r * COLS + c])).padStart(6));
+      }
+      lines.push(row.join(''));
+    }
+    return lines.join('\n');
+  }
+
+  // Convert from 2D actual-value array to Uint8Array log2 board
+  function fromGrid(grid) {
+    const board = new Uint8Array(TOTAL);
+    for (let r = 0; r < ROWS; r++) {
+      for (let c = 0; c < COLS; c++) {
+        board[r * COLS + c] = toLog2(grid[r][c]);
+      }
+    }
+    return board;
+  }
+
+  // Convert to 2D actual-value array
+  function toGrid(board) {
+    const grid = [];
+    for (let r = 0; r < ROWS; r++) {
+      const row = [];
+      for (let c = 0; c < COLS; c++) {
+        row.push(tileValue(board[r * COLS + c]));
+      }
+      grid.push(row);
+    }
+    return grid;
+  }
+
+  return {
+    ROWS, COLS, SIZE, TOTAL,
+    createBoard, cloneBoard, tileValue, toLog2, addRandomTile,
+    move, moveClone, canMove, maxTile, emptyCount,
+    printBoard, fromGrid, toGrid,
+  };
+}
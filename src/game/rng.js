@@ -0,0 +1,61 @@
+// Seedable PRNG for reproducible tile spawns (xoshiro128**)
+// createRng(seed) returns a Math.random-compatible function: rng() -> [0, 1)
+// rng.getState() / rng.setState(state) snapshot and restore the generator
+
+// splitmix32: expands a 32-bit seed into well-mixed state words
+function splitmix32(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x9e3779b9) >>> 0;
+    let z = s;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+export function createRng(seed = 0) {
+  const mix = splitmix32(seed);
+  const s = new Uint32Array([mix(), mix(), mix(), mix()]);
+  // All-zero state is a fixed point of xoshiro
+  if ((s[0] | s[1] | s[2] | s[3]) === 0) s[0] = 1;
+
+  function rng() {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result / 4294967296;
+  }
+
+  rng.seed = seed >>> 0;
+  rng.getState = () => Array.from(s);
+  rng.setState = (state) => {
+    if (!Array.isArray(state) || state.length !== 4) throw new Error('Invalid RNG state');
+    s.set(state);
+  };
+
+  return rng;
+}
+
+// Derive an independent seed for game/stream `index` from a base seed,
+// so game i gets the same tile sequence regardless of how long earlier games ran
+export function deriveSeed(seed, index) {
+  const mix = splitmix32((seed >>> 0) ^ Math.imul(index + 1, 0x27d4eb2d));
+  mix();
+  return mix();
+}
+
+// Parse a --seed / seed option; returns null when absent
+export function parseSeed(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`Invalid seed: ${value}`);
+  return n >>> 0;
+}
@@ -0,0 +1,74 @@
+// Build the network that matches a weight file, from the file alone
+// v2 binary / JSON files describe their board and patterns in the header.
+// Legacy v1 files are matched against the built-in 5x5 and 4x4 pattern sets.
+// Multi-stage files yield a MultiStageNetwork.
+// buildNetwork(describe()) rebuilds an empty network, optionally over shared buffers.
+
+import { readFileSync } from 'node:fs';
+import { NTupleNetwork, inferNumValues } from './ntuple-core.js';
+import { MultiStageNetwork } from './multi-stage.js';
+import { decodeWeights } from './weight-file.js';
+import { BASE_PATTERNS as PATTERNS_5x5 } from './patterns.js';
+import { BASE_PATTERNS as PATTERNS_4x4 } from './patterns4x4.js';
+
+const KNOWN_LAYOUTS = [
+  { rows: 5, cols: 5, patterns: PATTERNS_5x5 },
+  { rows: 4, cols: 4, patterns: PATTERNS_4x4 },
+];
+
+// Returns a loaded NTupleNetwork (or MultiStageNetwork) for filepath (.bin or .json)
+// options.shared: load into SharedArrayBuffers (see buildNetwork)
+export function loadNetwork(filepath, { shared = false } = {}) {
+  if (filepath.endsWith('.json')) {
+    const data = JSON.parse(readFileSync(filepath, 'utf-8'));
+    const layout = data.rows !== undefined
+      ? { rows: data.rows, cols: data.cols, patterns: data.patterns.map(p => p.cells) }
+      : guessLayout(filepath, data.patterns.map(p => p.tupleLen));
+    const network = new NTupleNetwork({ ...layout, numValues: data.numValues, shared });
+    network.load(filepath);
+    return network;
+  }
+
+  const decoded = decodeWeights(readFileSync(filepath));
+  let network;
+  if (decoded.version === 1) {
+    const { patterns } = decoded;
+    const layout = guessLayout(filepath, patterns.map(p => p.tupleLen));
+    network = new NTupleNetwork({
+      ...layout,
+      numValues: inferNumValues(patterns[0].tupleLen, patterns[0].lut.length),
+      shared,
+    });
+  } else {
+    // Players do not need TC accumulators; loadDecoded skips them
+    network = buildNetwork({ ...decoded.header, tc: false }, { shared });
+  }
+  network.loadDecoded(decoded, filepath);
+  return network;
+}
+
+// Returns an empty NTupleNetwork (or MultiStageNetwork) for a describe() result
+// options.shared: allocate the LUTs in SharedArrayBuffers
+// options.buffers: wrap the sharedBuffers() of an existing network with this description
+export function buildNetwork(desc, { shared = false, buffers = null } = {}) {
+  const { rows, cols, patterns, numValues, tc = false, stages } = desc;
+  const perStage = patterns.length * (tc ? 3 : 1);
+  let stage = 0;
+  const createStage = () => new NTupleNetwork({
+    rows, cols, patterns, numValues, tc, shared,
+    buffers: buffers && buffers.slice(stage * perStage, ++stage * perStage),
+  });
+  return stages
+    ? new MultiStageNetwork(createStage, { thresholds: stages.thresholds })
+    : createStage();
+}
+
+// Pick the built-in layout whose pattern lengths match a legacy file
+function guessLayout(filepath, tupleLens) {
+  const key = tupleLens.join(',');
+  const layout = KNOWN_LAYOUTS.find(l => l.patterns.map(p => p.length).join(',') === key);
+  if (!layout) {
+    throw new Error(`${filepath}: legacy weight file with ${tupleLens.length} patterns matches no known board layout`);
+  }
+  return layout;
+}
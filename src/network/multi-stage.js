@@ -0,0 +1,164 @@
+// Multi-stage N-tuple network (Yeh et al., 2016)
+// Splits the game into phases by the board's max tile and keeps one
+// independent network (set of LUTs) per phase. Exposes the same interface as
+// NTupleNetwork (evaluate / update / saveBinary / loadBinary / stats), so TD
+// learning and players use it without knowing about stages.
+//
+// thresholds: ascending log2 tile values; stage s (s >= 1) is active once the
+// board holds a tile >= thresholds[s-1]. Default [13, 14]: <8192, 8192, 16384+.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { encodeWeights, decodeWeights } from './weight-file.js';
+
+export const DEFAULT_STAGE_THRESHOLDS = [13, 14]; // 8192, 16384
+
+// Parse a comma-separated tile list ("8192,16384") into log2 thresholds
+// Every tile must be a power of two >= 2; the constructor checks the order
+export function parseStageTiles(value) {
+  return String(value).split(',').map(text => {
+    const log2 = Math.log2(Number(text));
+    if (!Number.isInteger(log2) || log2 < 1) {
+      throw new Error(`Invalid stage tile: ${text} (expected powers of two >= 2, e.g. 8192,16384)`);
+    }
+    return log2;
+  });
+}
+
+export class MultiStageNetwork {
+  // createStage: () => NTupleNetwork (called once per stage)
+  constructor(createStage, { thresholds = DEFAULT_STAGE_THRESHOLDS } = {}) {
+    if (!thresholds.every((t, i) => Number.isInteger(t) && t > 0 && (i === 0 || t > thresholds[i - 1]))) {
+      throw new Error(`Stage thresholds must be ascending log2 tile values: [${thresholds}]`);
+    }
+    this.thresholds = [...thresholds];
+    this.stages = [];
+    for (let s = 0; s <= thresholds.length; s++) this.stages.push(createStage());
+
+    const first = this.stages[0];
+    this.rows = first.rows;
+    this.cols = first.cols;
+    this.provenance = {};
+    this.trainerState = null;
+  }
+
+  get boardSize() {
+    return this.stages[0].boardSize;
+  }
+
+  get numValues() {
+    return this.stages[0].numValues;
+  }
+
+  // Stage index for a board: number of thresholds reached by its max tile
+  stageOf(board) {
+    let max = 0;
+    for (let i = 0; i < board.length; i++) {
+      if (board[i] > max) max = board[i];
+    }
+    let s = 0;
+    while (s < this.thresholds.length && max >= this.thresholds[s]) s++;
+    return s;
+  }
+
+  evaluate(board) {
+    return this.stages[this.stageOf(board)].evaluate(board);
+  }
+
+  update(board, delta) {
+    this.stages[this.stageOf(board)].update(board, delta);
+  }
+
+  learn(board, error, learningRate) {
+    this.stages[this.stageOf(board)].learn(board, error, learningRate);
+  }
+
+  get tcEnabled() {
+    return this.stages[0].tcEnabled;
+  }
+
+  enableTC() {
+    for (const stage of this.stages) stage.enableTC();
+  }
+
+  get shared() {
+    return this.stages[0].shared;
+  }
+
+  // Every stage's shared buffers, stage 0 first (see NTupleNetwork.sharedBuffers)
+  sharedBuffers() {
+    return this.stages.flatMap(stage => stage.sharedBuffers());
+  }
+
+  describe() {
+    return {
+      ...this.stages[0].describe(),
+      stages: { thresholds: this.thresholds },
+    };
+  }
+
+  // Save every stage's arrays into one v2 file (stage 0 first)
+  saveBinary(filepath, provenance = {}, trainerState = null) {
+    this.provenance = { ...this.provenance, ...provenance };
+    const header = {
+      ...this.describe(),
+      provenance: this.provenance,
+      ...(trainerState ? { trainerState } : {}),
+      savedAt: new Date().toISOString(),
+    };
+    const arrays = this.stages.flatMap(stage => stage.weightArrays());
+    writeFileSync(filepath, encodeWeights(header, arrays));
+  }
+
+  // JSON weight files are single-stage: every stage starts from them
+  load(filepath) {
+    for (const stage of this.stages) stage.load(filepath);
+    this.provenance = this.stages[0].provenance;
+  }
+
+  loadBinary(filepath) {
+    this.loadDecoded(decodeWeights(readFileSync(filepath)), filepath);
+  }
+
+  // A single-stage file initializes every stage with the same weights
+  loadDecoded(decoded, source = 'Weight file') {
+    const fileStages = decoded.version === 2 && decoded.header.stages;
+    if (!fileStages) {
+      for (const stage of this.stages) stage.loadDecoded(decoded, source);
+      this.provenance = this.stages[0].provenance;
+      this.trainerState = this.stages[0].trainerState;
+      return;
+    }
+
+    const { header, arrays } = decoded;
+    if (header.stages.thresholds.join(',') !== this.thresholds.join(',')) {
+      throw new Error(
+        `${source} has stage thresholds [${header.stages.thresholds}], ` +
+        `this network has [${this.thresholds}]`
+      );
+    }
+    const perStage = header.patterns.length * (header.tc ? 3 : 1);
+    const stageHeader = { ...header, stages: undefined, trainerState: undefined };
+    this.stages.forEach((stage, s) => {
+      stage.loadDecoded({
+        version: 2,
+        header: stageHeader,
+        arrays: arrays.slice(s * perStage, (s + 1) * perStage),
+      }, `${source} (stage ${s})`);
+    });
+    this.provenance = header.provenance || {};
+    this.trainerState = header.trainerState || null;
+  }
+
+  stats() {
+    const per = this.stages.map(s => s.stats());
+    const totalBytes = per.reduce((s, st) => s + parseFloat(st.totalMB), 0);
+    return {
+      ...per[0],
+      numStages: this.stages.length,
+      stageThresholds: this.thresholds.map(t => 1 << t),
+      totalVariants: per.reduce((s, st) => s + st.totalVariants, 0),
+      totalEntries: per.reduce((s, st) => s + st.totalEntries, 0),
+      totalMB: totalBytes.toFixed(1),
+    };
+  }
+}
@@ -0,0 +1,348 @@
+// N-tuple Network for board evaluation, parameterized by board size and patterns
+// Each pattern (with all symmetric variants) has its own LUT (look-up table)
+// Evaluation = sum of all LUT entries for the current board state
+// ntuple.js (5x5) and ntuple4x4.js are thin subclasses with their default patterns
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createSymmetryMaps, allSymmetries } from './symmetry-core.js';
+import { encodeWeights, decodeWeights, WEIGHT_VERSION } from './weight-file.js';
+
+// Default alphabet size per cell (log2 values 0..15, i.e. up to 32768)
+export const DEFAULT_NUM_VALUES = 16;
+
+export class NTupleNetwork {
+  // options.rows, options.cols: board size
+  // options.patterns: base patterns as arrays of board indices (row*cols+col)
+  // options.numValues: alphabet size per cell (default 16).
+  //   Tiles with log2 >= numValues are clamped to numValues - 1 when indexing.
+  // options.tc: allocate Temporal Coherence accumulators (see enableTC())
+  // options.shared: allocate LUTs in SharedArrayBuffers so worker threads can update them
+  // options.buffers: wrap existing SharedArrayBuffers from another network's
+  //   sharedBuffers() instead of allocating (e.g. inside a worker thread)
+  constructor({ rows, cols = rows, patterns, numValues = DEFAULT_NUM_VALUES, tc = false, shared = false, buffers = null } = {}) {
+    if (!Number.isInteger(rows) || !Number.isInteger(cols)) {
+      throw new Error('NTupleNetwork requires integer rows and cols');
+    }
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      throw new Error('NTupleNetwork requires at least one pattern');
+    }
+    for (const p of patterns) {
+      if (p.some(cell => !Number.isInteger(cell) || cell < 0 || cell >= rows * cols)) {
+        throw new Error(`Pattern [${p}] does not fit a ${rows}x${cols} board`);
+      }
+    }
+
+    this.rows = rows;
+    this.cols = cols;
+    this.basePatterns = patterns.map(p => Array.from(p));
+    this.numValues = numValues;
+    if (!Number.isInteger(this.numValues) || this.numValues < 2) {
+      throw new Error(`Invalid numValues: ${this.numValues}`);
+    }
+    this.provenance = {}; // training metadata read from / written to v2 files
+    this.trainerState = null; // trainer resume state read from a v2 checkpoint, if any
+    this.tcEnabled = tc; // Temporal Coherence accumulators, see enableTC()
+    this.shared = shared || buffers !== null;
+
+    const expected = this.basePatterns.length * (tc ? 3 : 1);
+    if (buffers !== null && buffers.length !== expected) {
+      throw new Error(`Expected ${expected} shared buffers, got ${buffers.length}`);
+    }
+    this._buffers = buffers;
+    this._buildPatterns();
+    this._buffers = null; // later reallocations (e.g. _useNumValues) get fresh buffers
+  }
+
+  get boardSize() {
+    return `${this.rows}x${this.cols}`;
+  }
+
+  _buildPatterns() {
+    // Expand base patterns with symmetry
+    // patterns[i] = { tupleLen, variants: [[idx,...], ...], lut: Float32Array }
+    const symmetryMaps = createSymmetryMaps(this.rows, this.cols);
+    this.patterns = [];
+
+    this.basePatterns.forEach((basePattern, i) => {
+      const variants = allSymmetries(basePattern, symmetryMaps);
+      this.patterns.push({
+        tupleLen: basePattern.length,
+        variants,
+        lut: this._allocArray(this.numValues ** basePattern.length, i), // shared LUT for all symmetric variants
+      });
+    });
+
+    this._totalLUTs = this.patterns.length;
+    this._totalVariants = this.patterns.reduce((s, p) => s + p.variants.length, 0);
+    if (this.tcEnabled) this._allocateTC();
+  }
+
+  // Temporal Coherence learning (Beal & Smith; Jaśkowski 2018 for 2048):
+  // every LUT entry keeps E (sum of errors) and A (sum of absolute errors)
+  // and learns at its own rate |E| / A, which shrinks as its updates stop
+  // agreeing in sign. Triples the memory of the network.
+  enableTC() {
+    this.tcEnabled = true;
+    this._allocateTC();
+  }
+
+  _allocateTC() {
+    const n = this.patterns.length;
+    this.patterns.forEach((p, i) => {
+      if (!p.errSum) {
+        p.errSum = this._allocArray(p.lut.length, n + i);
+        p.absErrSum = this._allocArray(p.lut.length, 2 * n + i);
+      }
+    });
+  }
+
+  // Float32Array for slot `slot` of weightArrays(): wrapped from the buffers
+  // given to the constructor, in shared memory, or a plain array
+  _allocArray(length, slot) {
+    if (this._buffers) {
+      const array = new Float32Array(this._buffers[slot]);
+      if (array.length !== length) {
+        throw new Error(`Shared buffer ${slot} holds ${array.length} entries, expected ${length}`);
+      }
+      return array;
+    }
+    if (this.shared) return new Float32Array(new SharedArrayBuffer(length * 4));
+    return new Float32Array(length);
+  }
+
+  // SharedArrayBuffers backing weightArrays(), for new NTupleNetwork({ ...describe(), buffers })
+  sharedBuffers() {
+    if (!this.shared) throw new Error('Network was not created with shared: true');
+    return this.weightArrays().map(a => a.buffer);
+  }
+
+  // Compute LUT index for a tuple pattern applied to a board
+  // Out-of-alphabet tiles are clamped so they never spill into a neighbouring entry
+  _index(board, pattern) {
+    const numValues = this.numValues;
+    const top = numValues - 1;
+    let idx = 0;
+    for (let i = 0; i < pattern.length; i++) {
+      const v = board[pattern[i]];
+      idx = idx * numValues + (v > top ? top : v);
+    }
+    return idx;
+  }
+
+  // Adopt the alphabet size a weight file was saved with (reallocates LUTs if it differs)
+  _useNumValues(numValues) {
+    if (numValues === this.numValues) return;
+    this.numValues = numValues;
+    this._buildPatterns();
+  }
+
+  // Evaluate board state: sum of all LUT values
+  evaluate(board) {
+    let value = 0;
+    for (const { variants, lut } of this.patterns) {
+      for (const variant of variants) {
+        value += lut[this._index(board, variant)];
+      }
+    }
+    return value;
+  }
+
+  // Update all relevant LUT entries by delta (used in TD learning)
+  update(board, delta) {
+    for (const { variants, lut } of this.patterns) {
+      for (const variant of variants) {
+        lut[this._index(board, variant)] += delta;
+      }
+    }
+  }
+
+  // Learn from a TD error: w += learningRate * error, or with TC enabled
+  // w += learningRate * (|E| / A) * error per entry (rate 1 until A > 0)
+  learn(board, error, learningRate) {
+    if (!this.tcEnabled) {
+      this.update(board, learningRate * error);
+      return;
+    }
+    const absError = Math.abs(error);
+    for (const { variants, lut, errSum, absErrSum } of this.patterns) {
+      for (const variant of variants) {
+        const idx = this._index(board, variant);
+        const a = absErrSum[idx];
+        const rate = a === 0 ? 1 : Math.abs(errSum[idx]) / a;
+        lut[idx] += learningRate * rate * error;
+        errSum[idx] += error;
+        absErrSum[idx] += absError;
+      }
+    }
+  }
+
+  // Header describing this network for v2 weight files
+  describe() {
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      numValues: this.numValues,
+      patterns: this.basePatterns,
+      ...(this.tcEnabled ? { tc: true } : {}),
+    };
+  }
+
+  // Arrays stored in v2 files: LUTs, then (with TC) all E and all A accumulators
+  weightArrays() {
+    const arrays = this.patterns.map(p => p.lut);
+    if (this.tcEnabled) {
+      arrays.push(...this.patterns.map(p => p.errSum), ...this.patterns.map(p => p.absErrSum));
+    }
+    return arrays;
+  }
+
+  // Throw a descriptive error unless `desc` (from a weight file) matches this network
+  _checkCompatible(desc, source) {
+    const mine = `${this.boardSize} board, ${this.patterns.length} patterns`;
+    const theirs = `${desc.rows}x${desc.cols} board, ${desc.patterns.length} patterns`;
+    const samePatterns = desc.patterns.length === this.basePatterns.length &&
+      desc.patterns.every((p, i) => p.join(',') === this.basePatterns[i].join(','));
+    if (desc.rows !== this.rows || desc.cols !== this.cols || !samePatterns) {
+      throw new Error(
+        `${source} holds a network for a ${theirs}, but this network is a ${mine}. ` +
+        'Use loadNetwork() to build the matching network from the file.'
+      );
+    }
+  }
+
+  // Save weights to file (JSON)
+  save(filepath, provenance = {}) {
+    const data = {
+      version: WEIGHT_VERSION,
+      ...this.describe(),
+      provenance: { ...this.provenance, ...provenance },
+      numPatterns: this.patterns.length,
+      patterns: this.patterns.map((p, i) => ({
+        cells: this.basePatterns[i],
+        tupleLen: p.tupleLen,
+        numVariants: p.variants.length,
+        lutSize: p.lut.length,
+        lut: Array.from(p.lut),
+      })),
+    };
+    writeFileSync(filepath, JSON.stringify(data));
+  }
+
+  // Save weights in the self-describing v2 binary format (see weight-file.js)
+  // provenance: training metadata to record, e.g. { episodes, learningRate }
+  // trainerState: opaque trainer resume state (episode counter, RNG state, ...)
+  saveBinary(filepath, provenance = {}, trainerState = null) {
+    this.provenance = { ...this.provenance, ...provenance };
+    const header = {
+      ...this.describe(),
+      provenance: this.provenance,
+      ...(trainerState ? { trainerState } : {}),
+      savedAt: new Date().toISOString(),
+    };
+    writeFileSync(filepath, encodeWeights(header, this.weightArrays()));
+  }
+
+  // Load weights from JSON file (v1 files carry no board description)
+  load(filepath) {
+    const data = JSON.parse(readFileSync(filepath, 'utf-8'));
+    if (data.rows !== undefined) {
+      this._checkCompatible({ ...data, patterns: data.patterns.map(p => p.cells) }, filepath);
+      this.provenance = data.provenance || {};
+    } else if (data.numPatterns !== this.patterns.length) {
+      throw new Error(`Pattern count mismatch: file has ${data.numPatterns}, network has ${this.patterns.length}`);
+    }
+    this._useNumValues(data.numValues || DEFAULT_NUM_VALUES);
+    for (let i = 0; i < this.patterns.length; i++) {
+      const saved = data.patterns[i];
+      if (saved.lutSize !== this.patterns[i].lut.length) {
+        throw new Error(`LUT size mismatch at pattern ${i}`);
+      }
+      this.patterns[i].lut.set(saved.lut);
+    }
+  }
+
+  // Load weights from binary file (v2, or legacy v1)
+  loadBinary(filepath) {
+    this.loadDecoded(decodeWeights(readFileSync(filepath)), filepath);
+  }
+
+  // Load weights from the result of decodeWeights()
+  loadDecoded(decoded, source = 'Weight file') {
+    if (decoded.version === 1) {
+      const { patterns } = decoded;
+      if (patterns.length !== this.patterns.length) {
+        throw new Error(`Pattern count mismatch: ${source} has ${patterns.length}, network has ${this.patterns.length}`);
+      }
+      // v1 has no explicit alphabet field: recover it from the first LUT size
+      this._useNumValues(inferNumValues(patterns[0].tupleLen, patterns[0].lut.length));
+      patterns.forEach((p, i) => this._setLut(i, p.lut));
+      return;
+    }
+
+    const { header, arrays } = decoded;
+    if (header.stages) {
+      throw new Error(
+        `${source} holds a ${header.stages.thresholds.length + 1}-stage network; ` +
+        'load it with loadNetwork() or a MultiStageNetwork'
+      );
+    }
+    this._checkCompatible(header, source);
+    this._useNumValues(header.numValues);
+    const n = this.patterns.length;
+    const expected = header.tc ? 3 * n : n;
+    if (arrays.length !== expected) {
+      throw new Error(`${source} has ${arrays.length} arrays, expected ${expected}`);
+    }
+    this.patterns.forEach((_, i) => this._setLut(i, arrays[i]));
+    // TC accumulators are restored only when this network learns with TC;
+    // a TC network loading a plain file starts them from zero
+    if (this.tcEnabled) {
+      this.patterns.forEach((p, i) => {
+        if (header.tc) {
+          this._setLut(i, arrays[n + i], 'errSum');
+          this._setLut(i, arrays[2 * n + i], 'absErrSum');
+        } else {
+          p.errSum.fill(0);
+          p.absErrSum.fill(0);
+        }
+      });
+    }
+    this.provenance = header.provenance || {};
+    this.trainerState = header.trainerState || null;
+  }
+
+  _setLut(i, src, key = 'lut') {
+    if (src.length !== this.patterns[i][key].length) {
+      throw new Error(`LUT size mismatch at pattern ${i}`);
+    }
+    this.patterns[i][key].set(src);
+  }
+
+  // Get memory usage stats
+  stats() {
+    let totalEntries = 0;
+    let totalBytes = 0;
+    for (const p of this.patterns) {
+      totalEntries += p.lut.length;
+      totalBytes += p.lut.byteLength * (this.tcEnabled ? 3 : 1);
+    }
+    return {
+      boardSize: this.boardSize,
+      tc: this.tcEnabled,
+      numBasePatterns: this.patterns.length,
+      numValues: this.numValues,
+      totalVariants: this._totalVariants,
+      totalEntries,
+      totalMB: (totalBytes / (1024 * 1024)).toFixed(1),
+    };
+  }
+}
+
+// numValues such that numValues^tupleLen === lutLen
+export function inferNumValues(tupleLen, lutLen) {
+  const numValues = Math.round(lutLen ** (1 / tupleLen));
+  if (numValues ** tupleLen !== lutLen) {
+    throw new Error(`LUT size ${lutLen} is not a power of tuple length ${tupleLen}`);
+  }
+  return numValues;
+}
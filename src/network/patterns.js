@@ -46,10 +46,12 @@ export const BASE_PATTERNS = [
   lshape,
 ];
 
-// Max tile value (log2). For 5x5, max practical is 15 (=32768)
-// LUT size per tuple: NUM_VALUES^tupleLength
+// Default alphabet size per cell (log2 values 0..15, i.e. up to 32768).
+// NTupleNetwork accepts a larger numValues (e.g. 17 for 65536) at the cost of
+// bigger LUTs; tiles beyond the alphabet are clamped to its top value.
+// LUT size per tuple: numValues^tupleLength
 export const NUM_VALUES = 16; // 0..15
 
-export function lutSize(tupleLength) {
-  return NUM_VALUES ** tupleLength;
+export function lutSize(tupleLength, numValues = NUM_VALUES) {
+  return numValues ** tupleLength;
 }
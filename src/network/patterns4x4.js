@@ -49,8 +49,9 @@ export const BASE_PATTERNS = [
   lshape4,
 ];
 
+// Default alphabet size per cell; see patterns.js for larger alphabets and clamping
 export const NUM_VALUES = 16; // 0..15
 
-export function lutSize(tupleLength) {
-  return NUM_VALUES ** tupleLength;
+export function lutSize(tupleLength, numValues = NUM_VALUES) {
+  return numValues ** tupleLength;
 }
@@ -0,0 +1,65 @@
+// Symmetry transformations for a rows x cols board
+// Square boards: 4 rotations × 2 reflections = 8 transformations
+// Rectangular boards: identity, 180° rotation and the two reflections (4 transformations)
+
+// Generate index mapping for a transformation
+// transform(r, c) → [newR, newC]
+function buildMap(rows, cols, transformFn) {
+  const map = new Int32Array(rows * cols);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const [nr, nc] = transformFn(r, c);
+      map[r * cols + c] = nr * cols + nc;
+    }
+  }
+  return map;
+}
+
+export function createSymmetryMaps(rows, cols = rows) {
+  const R = rows - 1;
+  const C = cols - 1;
+
+  const identity = buildMap(rows, cols, (r, c) => [r, c]);
+  const rot180 = buildMap(rows, cols, (r, c) => [R - r, C - c]);
+  const flipH = buildMap(rows, cols, (r, c) => [r, C - c]);
+  // flipH then rot180 = flip top-bottom
+  const flipH_rot180 = buildMap(rows, cols, (r, c) => [R - r, c]);
+
+  if (rows !== cols) {
+    return [identity, rot180, flipH, flipH_rot180];
+  }
+
+  // Square only: 90° rotations keep the board shape
+  const N = R;
+  const rot90 = buildMap(rows, cols, (r, c) => [c, N - r]);
+  const rot270 = buildMap(rows, cols, (r, c) => [N - c, r]);
+  // First flip: (r, c) → (r, N-c), then rotate
+  const flipH_rot90 = buildMap(rows, cols, (r, c) => [N - c, N - r]);
+  const flipH_rot270 = buildMap(rows, cols, (r, c) => [c, r]);
+
+  return [
+    identity, rot90, rot180, rot270,
+    flipH, flipH_rot90, flipH_rot180, flipH_rot270,
+  ];
+}
+
+// Apply symmetry map to a tuple pattern (array of board indices)
+// Returns the transformed indices
+export function applySymmetry(pattern, symMap) {
+  return pattern.map(idx => symMap[idx]);
+}
+
+// Generate all distinct symmetric variants of a pattern
+export function allSymmetries(pattern, symmetryMaps) {
+  const seen = new Set();
+  const variants = [];
+  for (const symMap of symmetryMaps) {
+    const transformed = applySymmetry(pattern, symMap);
+    const key = transformed.join(',');
+    if (!seen.has(key)) {
+      seen.add(key);
+      variants.push(transformed);
+    }
+  }
+  return variants;
+}
@@ -0,0 +1,150 @@
+// Binary weight file formats
+//
+// v1 (legacy): int32 version=1 | int32 numPatterns
+//              | per pattern: int32 tupleLen | int32 lutSize | lutSize × float32
+//
+// v2 (self-describing):
+//   int32 version=2 | uint32 headerBytes | header (UTF-8 JSON) | zero padding to 4 bytes
+//   | float32 arrays back to back (lengths in header.arrayLengths)
+//   | uint32 CRC-32 of every preceding byte
+//
+// The v2 header carries everything needed to rebuild the network: board size,
+// pattern cell indices, numValues, plus training provenance. Callers own the
+// meaning of the arrays; this module only frames and checks them.
+
+import zlib from 'node:zlib';
+
+export const WEIGHT_FORMAT = '2048-ntuple';
+export const WEIGHT_VERSION = 2;
+
+// ── CRC-32 (IEEE) ──
+
+let crcTable = null;
+
+function crc32Js(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  crc = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+// zlib.crc32 is native on Node >= 20.15 / 22.2; fall back to the table version
+export const crc32 = typeof zlib.crc32 === 'function'
+  ? (bytes) => zlib.crc32(bytes) >>> 0
+  : (bytes) => crc32Js(bytes);
+
+// ── Encoding ──
+
+// header: plain object (arrayLengths is filled in); arrays: Float32Array[]
+export function encodeWeights(header, arrays) {
+  const fullHeader = {
+    format: WEIGHT_FORMAT,
+    ...header,
+    arrayLengths: arrays.map(a => a.length),
+  };
+  const headerBytes = Buffer.from(JSON.stringify(fullHeader), 'utf-8');
+  const headerEnd = 8 + headerBytes.length;
+  const dataStart = Math.ceil(headerEnd / 4) * 4;
+
+  let totalSize = dataStart + 4; // + CRC
+  for (const a of arrays) totalSize += a.byteLength;
+
+  const buf = Buffer.alloc(totalSize);
+  buf.writeInt32LE(WEIGHT_VERSION, 0);
+  buf.writeUInt32LE(headerBytes.length, 4);
+  headerBytes.copy(buf, 8);
+
+  let offset = dataStart;
+  for (const a of arrays) {
+    buf.set(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), offset);
+    offset += a.byteLength;
+  }
+
+  buf.writeUInt32LE(crc32(buf.subarray(0, offset)), offset);
+  return buf;
+}
+
+// ── Decoding ──
+
+// Returns { version: 1, patterns: [{ tupleLen, lut }] }
+//      or { version: 2, header, arrays: Float32Array[] }
+// Returned arrays may alias buf; copy them before buf is reused.
+export function decodeWeights(buf) {
+  if (buf.length < 8) throw new Error('Weight file is truncated');
+  const version = buf.readInt32LE(0);
+  if (version === 1) return decodeV1(buf);
+  if (version === 2) return decodeV2(buf);
+  throw new Error(`Unsupported weight file version ${version}`);
+}
+
+// Read only the version and header (no CRC check, no array copies)
+export function readWeightHeader(buf) {
+  const version = buf.readInt32LE(0);
+  if (version !== 2) return { version, header: null };
+  const headerLen = buf.readUInt32LE(4);
+  return { version, header: JSON.parse(buf.toString('utf-8', 8, 8 + headerLen)) };
+}
+
+function decodeV1(buf) {
+  let offset = 4;
+  const numPatterns = buf.readInt32LE(offset); offset += 4;
+  const patterns = [];
+  for (let i = 0; i < numPatterns; i++) {
+    if (offset + 8 > buf.length) throw new Error(`Weight file is truncated at pattern ${i}`);
+    const tupleLen = buf.readInt32LE(offset); offset += 4;
+    const lutLen = buf.readInt32LE(offset); offset += 4;
+    if (offset + lutLen * 4 > buf.length) throw new Error(`Weight file is truncated at pattern ${i}`);
+    patterns.push({ tupleLen, lut: float32At(buf, offset, lutLen) });
+    offset += lutLen * 4;
+  }
+  return { version: 1, patterns };
+}
+
+function decodeV2(buf) {
+  const headerLen = buf.readUInt32LE(4);
+  const headerEnd = 8 + headerLen;
+  if (headerEnd > buf.length) throw new Error('Weight file header is truncated');
+  const header = JSON.parse(buf.toString('utf-8', 8, headerEnd));
+  if (header.format !== WEIGHT_FORMAT) {
+    throw new Error(`Not a ${WEIGHT_FORMAT} weight file (format: ${header.format})`);
+  }
+
+  let offset = Math.ceil(headerEnd / 4) * 4;
+  const dataEnd = offset + header.arrayLengths.reduce((s, n) => s + n * 4, 0);
+  if (dataEnd + 4 !== buf.length) {
+    throw new Error(`Weight file size mismatch: expected ${dataEnd + 4} bytes, got ${buf.length}`);
+  }
+
+  const storedCrc = buf.readUInt32LE(dataEnd);
+  const actualCrc = crc32(buf.subarray(0, dataEnd));
+  if (storedCrc !== actualCrc) {
+    throw new Error(`Weight file checksum mismatch (stored ${hex(storedCrc)}, computed ${hex(actualCrc)})`);
+  }
+
+  const arrays = [];
+  for (const len of header.arrayLengths) {
+    arrays.push(float32At(buf, offset, len));
+    offset += len * 4;
+  }
+  return { version: 2, header, arrays };
+}
+
+// Float32Array over buf[offset..], copying when the offset is not 4-byte aligned
+function float32At(buf, offset, length) {
+  const byteOffset = buf.byteOffset + offset;
+  if (byteOffset % 4 === 0) return new Float32Array(buf.buffer, byteOffset, length);
+  return new Float32Array(buf.buffer.slice(byteOffset, byteOffset + length * 4));
+}
+
+function hex(n) {
+  return '0x' + n.toString(16).padStart(8, '0');
+}
@@ -1,23 +1,22 @@
 // Browser player: reads board from DOM via Playwright, uses N-tuple network for moves
 
-import { fromGrid, toLog2 } from '../game/engine.js';
-import { GreedyPlayer } from './greedy-player.js';
-import { ExpectimaxPlayer } from './expectimax-player.js';
+import { engine, fromGrid, toLog2 } from '../game/engine.js';
+import { createPlayer } from './registry.js';
 
 const GRID_SIZE = 5;
 const DIR_KEYS = ['ArrowUp', 'ArrowRight', 'ArrowDown', 'ArrowLeft'];
 const MOVE_DELAY = 160;
 
 export class BrowserPlayer {
+  // options.player: registered player name (default greedy, or expectimax with useExpectimax)
+  // other options go to the player (see registry.js), e.g. depth, timeMs, iterations
   constructor(page, network, options = {}) {
     this.page = page;
     this.network = network;
-    this.useExpectimax = options.useExpectimax || false;
-    this.depth = options.depth || 2;
+    const { player, useExpectimax = false, ...playerOptions } = options;
+    this.playerName = player || (useExpectimax ? 'expectimax' : 'greedy');
 
-    this.player = this.useExpectimax
-      ? new ExpectimaxPlayer(network, this.depth)
-      : new GreedyPlayer(network);
+    this.player = createPlayer(this.playerName, network, engine, playerOptions);
   }
 
   async readBoard() {
@@ -110,7 +109,9 @@ export class BrowserPlayer {
       // Log progress
       if (moveCount % 50 === 0) {
         const score = await this.getScore();
-        console.log(`  Move ${moveCount} | Score: ${score} | Max Tile: ${maxTileSeen}`);
+        const search = this.player.lastSearch;
+        const depth = search ? ` | Depth: ${search.depth} (${search.elapsedMs} ms)` : '';
+        console.log(`  Move ${moveCount} | Score: ${score} | Max Tile: ${maxTileSeen}${depth}`);
       }
     }
 
@@ -1,62 +1,155 @@
 // Expectimax player with N-tuple network evaluation
 // N-ply search with chance nodes (random tile placement)
-
-import { move, cloneBoard, emptyCount, SIZE, TOTAL } from '../game/engine.js';
+// Works on any board size: the engine defaults to one matching the network's board
+//
+// Chance nodes expand every empty cell. Branches whose probability of being
+// reached falls below probCutoff are cut off and scored by the network, and
+// a transposition table (packed-board keys, cleared every move) reuses the
+// value of afterstates reached by different move orders. An entry is reused only
+// when it was searched at least as deep and from at least as probable a visit,
+// since a less probable visit cuts off more of its subtree.
+//
+// With timeMs set the player deepens iteratively (depth 1, 2, ... maxDepth)
+// and plays from the deepest search that finished inside the budget.
+
+import { createEngine } from '../game/engine-core.js';
+
+export const DEFAULT_PROB_CUTOFF = 1e-4;
+export const DEFAULT_MAX_DEPTH = 8;
+const MAX_TABLE_ENTRIES = 1 << 20;
+const CLOCK_CHECK_NODES = 16; // chance nodes between deadline checks
+
+// Thrown to unwind a search that ran past its deadline
+const TIMED_OUT = Symbol('timed out');
 
 export class ExpectimaxPlayer {
-  constructor(network, depth = 2) {
+  // options.depth: search depth in moves (1 = greedy)
+  // options.engine: game engine for the network's board (e.g. `engine` from engine4x4.js)
+  // options.probCutoff: evaluate chance nodes reached with lower probability as leaves (0 = never)
+  // options.timeMs: per-move time budget; replaces the fixed depth with iterative deepening
+  // options.maxDepth: deepest iteration in timeMs mode
+  // A bare number is taken as the depth, as in the old (network, depth) signature
+  constructor(network, options = {}) {
+    if (typeof options === 'number') options = { depth: options };
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError(`ExpectimaxPlayer options must be an object or a depth number, got ${options === null ? 'null' : typeof options}`);
+    }
+    const {
+      depth = 2, engine = null, probCutoff = DEFAULT_PROB_CUTOFF, timeMs = null, maxDepth = DEFAULT_MAX_DEPTH,
+    } = options;
     this.network = network;
     this.depth = depth;
+    this.engine = engine || createEngine({ rows: network.rows, cols: network.cols });
+    this.probCutoff = probCutoff;
+    this.timeMs = timeMs;
+    this.maxDepth = maxDepth;
+    if (this.engine.TOTAL !== network.rows * network.cols) {
+      throw new Error(`Engine board (${this.engine.TOTAL} cells) does not match the ${network.boardSize} network`);
+    }
+    // afterstate key -> { depth, prob, value } for the current move's search
+    this.table = new Map();
+    this.deadline = Infinity;
+    this.nodes = 0;
+    // Last move's search: { depth (deepest completed), elapsedMs, nodes (chance nodes expanded) }
+    this.lastSearch = null;
   }
 
   selectMove(board) {
-    let bestDir = -1;
-    let bestValue = -Infinity;
+    return this.decide(board).dir;
+  }
 
-    for (let dir = 0; dir < 4; dir++) {
-      const after = cloneBoard(board);
-      const result = move(after, dir);
-      if (!result.moved) continue;
+  // Chosen direction plus the value of every direction (see registry.js)
+  decide(board) {
+    const values = this.moveValues(board);
+    let dir = -1;
+    for (let d = 0; d < 4; d++) {
+      if (values[d] !== null && (dir === -1 || values[d] > values[dir])) dir = d;
+    }
+    return { dir, values };
+  }
 
-      const value = result.reward + this._chanceNode(after, this.depth - 1);
-      if (value > bestValue) {
-        bestValue = value;
-        bestDir = dir;
+  // Expectimax value of each direction (null = illegal move)
+  moveValues(board) {
+    const start = Date.now();
+    this.table.clear();
+    this.nodes = 0;
+    let values;
+    let depth;
+
+    if (this.timeMs === null) {
+      depth = this.depth;
+      values = this._searchRoot(board, depth);
+    } else {
+      // Depth 1 has no chance nodes and always completes, so there is a move
+      values = this._searchRoot(board, 1);
+      depth = 1;
+      this.deadline = start + this.timeMs;
+      try {
+        for (let d = 2; d <= this.maxDepth && Date.now() < this.deadline; d++) {
+          values = this._searchRoot(board, d);
+          depth = d;
+        }
+      } catch (err) {
+        if (err !== TIMED_OUT) throw err;
+      } finally {
+        this.deadline = Infinity;
       }
     }
 
-    return bestDir;
+    this.lastSearch = { depth, elapsedMs: Date.now() - start, nodes: this.nodes };
+    return values;
+  }
+
+  _searchRoot(board, depth) {
+    const { move, cloneBoard } = this.engine;
+    const values = [null, null, null, null];
+    for (let dir = 0; dir < 4; dir++) {
+      const after = cloneBoard(board);
+      const result = move(after, dir);
+      if (result.moved) values[dir] = result.reward + this._chanceNode(after, depth - 1, 1);
+    }
+    return values;
   }
 
-  _chanceNode(board, depth) {
-    if (depth <= 0) return this.network.evaluate(board);
+  // prob: probability of reaching this afterstate from the root
+  _chanceNode(board, depth, prob) {
+    if (depth <= 0 || prob < this.probCutoff) return this.network.evaluate(board);
+
+    const key = boardKey(board);
+    const cached = this.table.get(key);
+    if (cached !== undefined && cached.depth >= depth && cached.prob >= prob) return cached.value;
+
+    if (++this.nodes % CLOCK_CHECK_NODES === 0 && Date.now() >= this.deadline) throw TIMED_OUT;
 
     const empty = [];
-    for (let i = 0; i < TOTAL; i++) {
+    for (let i = 0; i < board.length; i++) {
       if (board[i] === 0) empty.push(i);
     }
     if (empty.length === 0) return this.network.evaluate(board);
 
-    // Sample if too many empty cells to keep computation manageable
-    const cells = empty.length <= 8 ? empty : sampleCells(empty, 8);
+    const prob2 = prob * 0.9 / empty.length;
+    const prob4 = prob * 0.1 / empty.length;
     let total = 0;
 
-    for (const idx of cells) {
+    for (const idx of empty) {
       // Tile 2 (log2=1) with 90% probability
       board[idx] = 1;
-      total += 0.9 * this._playerNode(board, depth);
+      total += 0.9 * this._playerNode(board, depth, prob2);
 
       // Tile 4 (log2=2) with 10% probability
       board[idx] = 2;
-      total += 0.1 * this._playerNode(board, depth);
+      total += 0.1 * this._playerNode(board, depth, prob4);
 
       board[idx] = 0; // restore
     }
 
-    return total / cells.length;
+    const value = total / empty.length;
+    if (cached !== undefined || this.table.size < MAX_TABLE_ENTRIES) this.table.set(key, { depth, prob, value });
+    return value;
   }
 
-  _playerNode(board, depth) {
+  _playerNode(board, depth, prob) {
+    const { move, cloneBoard } = this.engine;
     let bestValue = -Infinity;
     let anyMoved = false;
 
@@ -66,7 +159,7 @@ export class ExpectimaxPlayer {
       if (!result.moved) continue;
       anyMoved = true;
 
-      const value = result.reward + this._chanceNode(after, depth - 1);
+      const value = result.reward + this._chanceNode(after, depth - 1, prob);
       if (value > bestValue) bestValue = value;
     }
 
@@ -74,11 +167,7 @@ export class ExpectimaxPlayer {
   }
 }
 
-function sampleCells(cells, n) {
-  const sampled = [...cells];
-  for (let i = sampled.length - 1; i > 0 && sampled.length > n; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [sampled[i], sampled[j]] = [sampled[j], sampled[i]];
-  }
-  return sampled.slice(0, n);
+// Transposition key: one char per cell (log2 tile values)
+function boardKey(board) {
+  return String.fromCharCode.apply(null, board);
 }
@@ -8,21 +8,27 @@ export class GreedyPlayer {
   }
 
   selectMove(board) {
-    let bestDir = -1;
-    let bestValue = -Infinity;
+    return this.decide(board).dir;
+  }
+
+  // Chosen direction plus the value of every direction (see registry.js)
+  decide(board) {
+    const values = this.moveValues(board);
+    let dir = -1;
+    for (let d = 0; d < 4; d++) {
+      if (values[d] !== null && (dir === -1 || values[d] > values[dir])) dir = d;
+    }
+    return { dir, values };
+  }
 
+  // reward + V(afterstate) for each direction (null = illegal move)
+  moveValues(board) {
+    const values = [null, null, null, null];
     for (let dir = 0; dir < 4; dir++) {
       const after = cloneBoard(board);
       const result = move(after, dir);
-      if (!result.moved) continue;
-
-      const value = result.reward + this.network.evaluate(after);
-      if (value > bestValue) {
-        bestValue = value;
-        bestDir = dir;
-      }
+      if (result.moved) values[dir] = result.reward + this.network.evaluate(after);
     }
-
-    return bestDir;
+    return values;
   }
 }
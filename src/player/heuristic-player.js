@@ -0,0 +1,145 @@
+// Hand-crafted evaluation and a 1-ply heuristic player (baselines for the learned network)
+// Works on any board size: pass the engine (e.g. `engine` from engine4x4.js)
+//
+// HeuristicEvaluator exposes evaluate(board) plus the network's board fields
+// (rows, cols, boardSize), so ExpectimaxPlayer and MCTSPlayer accept it in
+// place of an NTupleNetwork. Features, on log2 tile values:
+//   empty         number of empty cells
+//   monotonicity  -min(rises, falls) summed over every row and column
+//   smoothness    -|a - b| over adjacent non-empty cells
+//   cornerMax     max tile when it sits in a corner, else 0
+//   snake         tiles weighted along the best snake path from a corner
+//                 (weight halves at every cell)
+
+export const DEFAULT_HEURISTIC_WEIGHTS = {
+  empty: 30,
+  monotonicity: 5,
+  smoothness: 3,
+  cornerMax: 20,
+  snake: 30,
+};
+
+const SNAKE_DECAY = 0.5;
+
+export class HeuristicEvaluator {
+  // weights: partial overrides of DEFAULT_HEURISTIC_WEIGHTS
+  constructor(engine, weights = {}) {
+    this.engine = engine;
+    this.rows = engine.ROWS;
+    this.cols = engine.COLS;
+    this.weights = { ...DEFAULT_HEURISTIC_WEIGHTS, ...weights };
+    this.lines = boardLines(this.rows, this.cols);
+    this.corners = [0, this.cols - 1, (this.rows - 1) * this.cols, this.rows * this.cols - 1];
+    this.snakes = snakePaths(this.rows, this.cols);
+  }
+
+  get boardSize() {
+    return `${this.rows}x${this.cols}`;
+  }
+
+  evaluate(board) {
+    const w = this.weights;
+    let monotonicity = 0;
+    let smoothness = 0;
+    for (const line of this.lines) {
+      let rises = 0;
+      let falls = 0;
+      for (let k = 0; k + 1 < line.length; k++) {
+        const a = board[line[k]];
+        const b = board[line[k + 1]];
+        if (a > b) falls += a - b;
+        else rises += b - a;
+        if (a !== 0 && b !== 0) smoothness -= Math.abs(a - b);
+      }
+      monotonicity -= Math.min(rises, falls);
+    }
+
+    let empty = 0;
+    let max = 0;
+    for (let i = 0; i < board.length; i++) {
+      if (board[i] === 0) empty++;
+      else if (board[i] > max) max = board[i];
+    }
+    const cornerMax = this.corners.some(i => board[i] === max) ? max : 0;
+
+    let snake = 0;
+    for (const path of this.snakes) {
+      let sum = 0;
+      let weight = 1;
+      for (let k = 0; k < path.length; k++) {
+        sum += board[path[k]] * weight;
+        weight *= SNAKE_DECAY;
+      }
+      if (sum > snake) snake = sum;
+    }
+
+    return w.empty * empty + w.monotonicity * monotonicity + w.smoothness * smoothness +
+      w.cornerMax * cornerMax + w.snake * snake;
+  }
+}
+
+// 1-ply player: maximizes reward + heuristic value of the afterstate
+export class HeuristicPlayer {
+  constructor(engine, weights = {}) {
+    this.engine = engine;
+    this.evaluator = new HeuristicEvaluator(engine, weights);
+  }
+
+  selectMove(board) {
+    return this.decide(board).dir;
+  }
+
+  // Chosen direction plus the value of every direction (see registry.js)
+  decide(board) {
+    const values = this.moveValues(board);
+    let dir = -1;
+    for (let d = 0; d < 4; d++) {
+      if (values[d] !== null && (dir === -1 || values[d] > values[dir])) dir = d;
+    }
+    return { dir, values };
+  }
+
+  // reward + heuristic(afterstate) for each direction (null = illegal move)
+  moveValues(board) {
+    const { move, cloneBoard } = this.engine;
+    const values = [null, null, null, null];
+    for (let dir = 0; dir < 4; dir++) {
+      const after = cloneBoard(board);
+      const result = move(after, dir);
+      if (result.moved) values[dir] = result.reward + this.evaluator.evaluate(after);
+    }
+    return values;
+  }
+}
+
+// Cell indices of every row (left to right) and column (top to bottom)
+function boardLines(rows, cols) {
+  const lines = [];
+  for (let r = 0; r < rows; r++) {
+    lines.push(Array.from({ length: cols }, (_, c) => r * cols + c));
+  }
+  for (let c = 0; c < cols; c++) {
+    lines.push(Array.from({ length: rows }, (_, r) => r * cols + c));
+  }
+  return lines;
+}
+
+// Boustrophedon paths from each corner, row-wise and column-wise (8 paths)
+function snakePaths(rows, cols) {
+  const paths = [];
+  for (const flipR of [false, true]) {
+    for (const flipC of [false, true]) {
+      const cell = (r, c) => (flipR ? rows - 1 - r : r) * cols + (flipC ? cols - 1 - c : c);
+      const byRow = [];
+      for (let r = 0; r < rows; r++) {
+        for (let k = 0; k < cols; k++) byRow.push(cell(r, r % 2 === 0 ? k : cols - 1 - k));
+      }
+      const byCol = [];
+      for (let c = 0; c < cols; c++) {
+        for (let k = 0; k < rows; k++) byCol.push(cell(c % 2 === 0 ? k : rows - 1 - k, c));
+      }
+      paths.push(byRow, byCol);
+    }
+  }
+  return paths;
+}
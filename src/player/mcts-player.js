@@ -0,0 +1,196 @@
+// Monte Carlo Tree Search player with N-tuple network evaluation
+// Works on any board size: the engine defaults to one matching the network's board
+//
+// The tree alternates decision nodes (a board before the move) and chance
+// nodes (the afterstate of one direction). Chance nodes sample a tile spawn
+// per visit and keep one decision child per (cell, tile). Decision nodes pick
+// directions by UCT on values min-max normalized over their children, since
+// raw values are game scores. A new afterstate is scored by reward + V(afterstate),
+// or by a greedy rollout of `rollout` moves ending in V(afterstate).
+// The tree is rebuilt every move; the most visited direction is played.
+
+import { createEngine } from '../game/engine-core.js';
+
+export const DEFAULT_ITERATIONS = 200;
+export const DEFAULT_EXPLORATION = 1;
+
+export class MCTSPlayer {
+  // options.iterations: simulations per move (ignored when timeMs is set)
+  // options.timeMs: per-move time budget instead of a fixed number of simulations
+  // options.rollout: greedy moves played before evaluating a new afterstate (0 = V only)
+  // options.exploration: UCT exploration constant (values are normalized to [0, 1])
+  // options.engine: game engine for the network's board (e.g. `engine` from engine4x4.js)
+  // options.rng: tile spawn sampling in the tree and rollouts
+  constructor(network, {
+    iterations = DEFAULT_ITERATIONS, timeMs = null, rollout = 0, exploration = DEFAULT_EXPLORATION,
+    engine = null, rng = Math.random,
+  } = {}) {
+    this.network = network;
+    this.iterations = iterations;
+    this.timeMs = timeMs;
+    this.rollout = rollout;
+    this.exploration = exploration;
+    this.engine = engine || createEngine({ rows: network.rows, cols: network.cols });
+    this.rng = rng;
+    if (this.engine.TOTAL !== network.rows * network.cols) {
+      throw new Error(`Engine board (${this.engine.TOTAL} cells) does not match the ${network.boardSize} network`);
+    }
+    this.maxDepth = 0;
+    // Last move's search: { depth (deepest decision node), elapsedMs, iterations }
+    this.lastSearch = null;
+  }
+
+  selectMove(board) {
+    return this.decide(board).dir;
+  }
+
+  // Most visited direction plus the mean simulated value of every direction
+  // (null = illegal move); see registry.js
+  decide(board) {
+    const root = this._search(board);
+    const values = [null, null, null, null];
+    let dir = -1;
+    let bestVisits = 0;
+    for (const child of root.children) {
+      values[child.dir] = child.visits > 0 ? child.total / child.visits : null;
+      if (child.visits > bestVisits) {
+        bestVisits = child.visits;
+        dir = child.dir;
+      }
+    }
+    return { dir, values };
+  }
+
+  _search(board) {
+    const start = Date.now();
+    const deadline = this.timeMs === null ? Infinity : start + this.timeMs;
+    const root = this._decisionNode(this.engine.cloneBoard(board));
+    this.maxDepth = 0;
+    let iterations = 0;
+    const more = () => (this.timeMs === null
+      ? iterations < this.iterations
+      : iterations === 0 || Date.now() < deadline);
+    while (root.children.length > 0 && more()) {
+      this._simulate(root, 0);
+      iterations++;
+    }
+    this.lastSearch = { depth: this.maxDepth, elapsedMs: Date.now() - start, iterations };
+    return root;
+  }
+
+  // One chance-node child per legal direction
+  _decisionNode(board) {
+    const { move, cloneBoard } = this.engine;
+    const children = [];
+    for (let dir = 0; dir < 4; dir++) {
+      const after = cloneBoard(board);
+      const result = move(after, dir);
+      if (result.moved) {
+        children.push({ dir, after, reward: result.reward, visits: 0, total: 0, spawns: new Map() });
+      }
+    }
+    return { visits: 0, children };
+  }
+
+  // Run one simulation below a decision node; returns its value
+  _simulate(node, depth) {
+    if (depth > this.maxDepth) this.maxDepth = depth;
+    if (node.children.length === 0) return 0; // game over
+
+    const child = this._selectChild(node);
+    let value;
+    if (child.visits === 0) {
+      value = child.reward + this._leafValue(child.after);
+    } else {
+      const { cell, tile } = sampleSpawn(child.after, this.rng);
+      const key = cell * 2 + tile - 1;
+      let next = child.spawns.get(key);
+      if (!next) {
+        const board = this.engine.cloneBoard(child.after);
+        board[cell] = tile;
+        next = this._decisionNode(board);
+        child.spawns.set(key, next);
+      }
+      value = child.reward + this._simulate(next, depth + 1);
+    }
+
+    child.visits++;
+    child.total += value;
+    node.visits++;
+    return value;
+  }
+
+  // Unvisited directions first, then UCT on min-max normalized mean values
+  _selectChild(node) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const child of node.children) {
+      if (child.visits === 0) return child;
+      const mean = child.total / child.visits;
+      if (mean < min) min = mean;
+      if (mean > max) max = mean;
+    }
+
+    const range = max - min;
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestScore = -Infinity;
+    for (const child of node.children) {
+      const q = range > 0 ? (child.total / child.visits - min) / range : 0;
+      const score = q + this.exploration * Math.sqrt(logVisits / child.visits);
+      if (score > bestScore) {
+        bestScore = score;
+        best = child;
+      }
+    }
+    return best;
+  }
+
+  // V(afterstate), or the rewards of a greedy rollout plus V of its last afterstate
+  _leafValue(after) {
+    if (this.rollout === 0) return this.network.evaluate(after);
+
+    const { move, cloneBoard, addRandomTile, canMove } = this.engine;
+    const board = cloneBoard(after);
+    let total = 0;
+    for (let step = 0; step < this.rollout; step++) {
+      addRandomTile(board, this.rng);
+      if (!canMove(board)) return total;
+
+      let bestAfter = null;
+      let bestReward = 0;
+      let bestValue = -Infinity;
+      for (let dir = 0; dir < 4; dir++) {
+        const next = cloneBoard(board);
+        const result = move(next, dir);
+        if (!result.moved) continue;
+        const value = result.reward + this.network.evaluate(next);
+        if (value > bestValue) {
+          bestValue = value;
+          bestAfter = next;
+          bestReward = result.reward;
+        }
+      }
+      total += bestReward;
+      board.set(bestAfter);
+    }
+    return total + this.network.evaluate(board);
+  }
+}
+
+// Random tile spawn on an afterstate: uniform empty cell, tile 2 (log2 1) 90% / 4 (log2 2) 10%
+function sampleSpawn(board, rng) {
+  let empty = 0;
+  for (let i = 0; i < board.length; i++) {
+    if (board[i] === 0) empty++;
+  }
+  let k = Math.floor(rng() * empty);
+  let cell = 0;
+  for (let i = 0; i < board.length; i++) {
+    if (board[i] === 0 && k-- === 0) {
+      cell = i;
+      break;
+    }
+  }
+  return { cell, tile: rng() < 0.9 ? 1 : 2 };
+}
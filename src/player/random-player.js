@@ -0,0 +1,26 @@
+// Random player: picks uniformly among the legal moves (baseline)
+// Works on any board size: pass the engine (e.g. `engine` from engine4x4.js)
+
+export class RandomPlayer {
+  constructor(engine, rng = Math.random) {
+    this.engine = engine;
+    this.rng = rng;
+  }
+
+  selectMove(board) {
+    const { move, cloneBoard } = this.engine;
+    const dirs = [];
+    for (let dir = 0; dir < 4; dir++) {
+      const after = cloneBoard(board);
+      const result = move(after, dir);
+      if (result.moved) dirs.push(dir);
+    }
+    if (dirs.length === 0) return -1;
+    return dirs[Math.floor(this.rng() * dirs.length)];
+  }
+
+  // No values to report: every legal move is equally likely
+  decide(board) {
+    return { dir: this.selectMove(board), values: null };
+  }
+}
@@ -0,0 +1,109 @@
+// Player registry: every way to pick moves, by name
+// createPlayer(name, network, engine, options) builds any registered player for
+// any front end (benchmark, dashboard, browser player).
+//
+// Player interface:
+//   selectMove(board) -> direction 0-3 (0=up, 1=right, 2=down, 3=left), -1 = no legal move
+//   decide(board)     -> { dir, values }: the chosen direction plus per-direction
+//                        diagnostics (search values, null for illegal moves; values null if none)
+//   lastSearch        -> { depth, elapsedMs, ... } of the last move (search players only)
+//
+// Options (unused ones are ignored, missing ones take the player's defaults):
+//   depth, timeMs, maxDepth, probCutoff   expectimax
+//   iterations, timeMs, rollout           mcts
+//   heuristicWeights                      heuristic players
+//   rng                                   random, mcts (tile spawn sampling)
+
+import { GreedyPlayer as GreedyPlayer5x5 } from './greedy-player.js';
+import { GreedyPlayer as GreedyPlayer4x4 } from './greedy-player4x4.js';
+import { ExpectimaxPlayer } from './expectimax-player.js';
+import { MCTSPlayer } from './mcts-player.js';
+import { HeuristicPlayer, HeuristicEvaluator } from './heuristic-player.js';
+import { RandomPlayer } from './random-player.js';
+
+const GREEDY_BY_SIZE = { '5x5': GreedyPlayer5x5, '4x4': GreedyPlayer4x4 };
+
+const expectimax = (evaluator, engine, { depth, timeMs, maxDepth, probCutoff }) =>
+  new ExpectimaxPlayer(evaluator, { depth, timeMs, maxDepth, probCutoff, engine });
+
+const mcts = (evaluator, engine, { iterations, timeMs, rollout, rng }) =>
+  new MCTSPlayer(evaluator, { iterations, timeMs, rollout, rng, engine });
+
+// name -> { label, search, param, create(network, engine, options) }
+//   search: plays a search per move (slow; reports lastSearch)
+//   param: the main tuning option, with bounds for interactive front ends
+const PLAYERS = {
+  greedy: {
+    label: 'Greedy (1-ply)',
+    search: false,
+    create: (network) => {
+      const Player = GREEDY_BY_SIZE[network.boardSize];
+      if (!Player) throw new Error(`No greedy player for ${network.boardSize} boards`);
+      return new Player(network);
+    },
+  },
+  expectimax: {
+    label: 'Expectimax',
+    search: true,
+    param: { name: 'depth', default: 2, min: 1, max: 3 },
+    create: (network, engine, options) => expectimax(network, engine, options),
+  },
+  mcts: {
+    label: 'MCTS',
+    search: true,
+    param: { name: 'iterations', default: 200, min: 10, max: 2000 },
+    create: (network, engine, options) => mcts(network, engine, options),
+  },
+  heuristic: {
+    label: 'Heuristic (1-ply)',
+    search: false,
+    create: (network, engine, { heuristicWeights }) => new HeuristicPlayer(engine, heuristicWeights),
+  },
+  'heuristic-expectimax': {
+    label: 'Heuristic Expectimax',
+    search: true,
+    param: { name: 'depth', default: 2, min: 1, max: 3 },
+    create: (network, engine, options) =>
+      expectimax(new HeuristicEvaluator(engine, options.heuristicWeights), engine, options),
+  },
+  'heuristic-mcts': {
+    label: 'Heuristic MCTS',
+    search: true,
+    param: { name: 'iterations', default: 200, min: 10, max: 2000 },
+    create: (network, engine, options) =>
+      mcts(new HeuristicEvaluator(engine, options.heuristicWeights), engine, options),
+  },
+  random: {
+    label: 'Random',
+    search: false,
+    create: (network, engine, { rng }) => new RandomPlayer(engine, rng),
+  },
+};
+
+export const PLAYER_NAMES = Object.keys(PLAYERS);
+
+export function createPlayer(name, network, engine, options = {}) {
+  return playerEntry(name).create(network, engine, options);
+}
+
+// { name, label, search, param } of every player, for front ends to list
+export function describePlayers() {
+  return PLAYER_NAMES.map(name => {
+    const { label, search, param = null } = PLAYERS[name];
+    return { name, label, search, param };
+  });
+}
+
+// Display name with the main option, e.g. "Expectimax (depth=2)"
+export function playerLabel(name, options = {}) {
+  const { label, param } = playerEntry(name);
+  if (options.timeMs != null && PLAYERS[name].search) return `${label} (${options.timeMs} ms/move)`;
+  if (!param) return label;
+  return `${label} (${param.name}=${options[param.name] ?? param.default})`;
+}
+
+function playerEntry(name) {
+  const entry = PLAYERS[name];
+  if (!entry) throw new Error(`Unknown player: ${name} (expected ${PLAYER_NAMES.join(', ')})`);
+  return entry;
+}
@@ -0,0 +1,195 @@
+// Summary statistics, confidence intervals and significance tests for evaluations
+// Plain arrays of numbers in, plain objects out. Two-sided tests; `confidence`
+// is the interval coverage (0.95 = 95% CI).
+
+export function mean(xs) {
+  let sum = 0;
+  for (const x of xs) sum += x;
+  return sum / xs.length;
+}
+
+// Sample standard deviation (n - 1 denominator); 0 for fewer than 2 values
+export function std(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  let ss = 0;
+  for (const x of xs) ss += (x - m) * (x - m);
+  return Math.sqrt(ss / (xs.length - 1));
+}
+
+// q-quantile (0..1) of ascending-sorted values, interpolating between ranks
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Wilson score interval [lo, hi] of a proportion successes / n
+// Stays inside [0, 1] and is usable at 0% and 100%, unlike the normal interval
+export function wilsonInterval(successes, n, confidence = 0.95) {
+  if (n === 0) return [0, 1];
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / n;
+  const z2n = z * z / n;
+  const center = (p + z2n / 2) / (1 + z2n);
+  const half = z / (1 + z2n) * Math.sqrt(p * (1 - p) / n + z2n / (4 * n));
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// Standard normal distribution: P(Z <= z)
+export function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+// z such that P(Z <= z) = p (bisection on normalCdf)
+export function normalQuantile(p) {
+  let lo = -40;
+  let hi = 40;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Mean with its t confidence interval: { mean, ci: [lo, hi] }
+export function meanInterval(xs, confidence = 0.95) {
+  const m = mean(xs);
+  if (xs.length < 2) return { mean: m, ci: [m, m] };
+  const half = tQuantile(1 - (1 - confidence) / 2, xs.length - 1) * std(xs) / Math.sqrt(xs.length);
+  return { mean: m, ci: [m - half, m + half] };
+}
+
+// Student's t distribution: P(T <= t) with df degrees of freedom
+export function tCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+// t such that P(T <= t) = p (bisection on tCdf)
+export function tQuantile(p, df) {
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -tQuantile(1 - p, df);
+  let lo = 0;
+  let hi = 1;
+  while (tCdf(hi, df) < p) hi *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tCdf(mid, df) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Paired t-test on a[i] - b[i] (a and b scored on the same game i)
+// Returns { n, meanDiff, sdDiff, t, df, p, ci: [lo, hi] }
+export function pairedTTest(a, b, confidence = 0.95) {
+  if (a.length !== b.length) throw new Error(`Paired samples differ in length: ${a.length} vs ${b.length}`);
+  if (a.length < 2) throw new Error('Paired t-test needs at least 2 pairs');
+  const diffs = a.map((x, i) => x - b[i]);
+  const n = diffs.length;
+  const df = n - 1;
+  const meanDiff = mean(diffs);
+  const sdDiff = std(diffs);
+  const se = sdDiff / Math.sqrt(n);
+  const half = tQuantile(1 - (1 - confidence) / 2, df) * se;
+  let t;
+  let p;
+  if (se === 0) {
+    t = meanDiff === 0 ? 0 : Math.sign(meanDiff) * Infinity;
+    p = meanDiff === 0 ? 1 : 0;
+  } else {
+    t = meanDiff / se;
+    p = incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+  return { n, meanDiff, sdDiff, t, df, p, ci: [meanDiff - half, meanDiff + half] };
+}
+
+// Exact McNemar test on paired yes/no outcomes (e.g. "reached 2048" per game)
+// Only discordant pairs count: onlyA = yes for a but not b, onlyB the reverse.
+// Returns { onlyA, onlyB, p }
+export function mcnemarTest(a, b) {
+  let onlyA = 0;
+  let onlyB = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] && !b[i]) onlyA++;
+    else if (b[i] && !a[i]) onlyB++;
+  }
+  const n = onlyA + onlyB;
+  const k = Math.min(onlyA, onlyB);
+  // Two-sided binomial(n, 1/2) tail: 2 * P(X <= k)
+  let tail = 0;
+  for (let i = 0; i <= k; i++) {
+    tail += Math.exp(logGamma(n + 1) - logGamma(i + 1) - logGamma(n - i + 1) - n * Math.LN2);
+  }
+  return { onlyA, onlyB, p: Math.min(1, 2 * tail) };
+}
+
+// Complementary error function (Chebyshev fit, relative error < 1.2e-7; Numerical Recipes)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+// Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  // The fraction converges fast for x < (a + 1) / (a + b + 2); use the symmetry otherwise
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaFraction(x, a, b) / a
+    : 1 - front * betaFraction(1 - x, b, a) / b;
+}
+
+function betaFraction(x, a, b) {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// ln Γ(x) (Lanczos approximation, g = 7)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (x + i);
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
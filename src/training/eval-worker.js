@@ -0,0 +1,44 @@
+// Evaluation worker thread: plays evaluation games off the main thread
+// Started by the dashboard for POST /api/evaluate. Reads the LUTs through the
+// shared buffers of the loaded network, so nothing is copied. Cancellation is
+// Worker.terminate(): games are synchronous and never yield to messages.
+//
+// workerData: { desc, buffers, numGames, seed, player, reachThresholds }
+//   desc/buffers: network.describe() and network.sharedBuffers() of the network
+//   seed: evaluation seed (null = Math.random)
+//   player: { name, options } of a registered player (src/player/registry.js)
+//   reachThresholds: log2 tiles to report reach rates for (REACH_THRESHOLDS of the td-learning module)
+// Messages out:
+//   { type: 'progress', gamesDone, avgScore }   at most every PROGRESS_MS
+//   { type: 'done', result }                    evaluateNetwork() result
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { createEngine } from '../game/engine-core.js';
+import { createRng, deriveSeed } from '../game/rng.js';
+import { buildNetwork } from '../network/load-network.js';
+import { createPlayer } from '../player/registry.js';
+import { createTDLearning } from './td-core.js';
+
+const PROGRESS_MS = 200;
+
+const { desc, buffers, numGames, seed, player: spec, reachThresholds } = workerData;
+const network = buildNetwork(desc, { buffers });
+const engine = createEngine({ rows: desc.rows, cols: desc.cols });
+const { evaluateNetwork } = createTDLearning(engine, { reachThresholds });
+
+// Move choices draw from their own stream so tile spawns match the greedy games
+const playerRng = seed === null ? Math.random : createRng(deriveSeed(seed, -1));
+const player = spec.name === 'greedy'
+  ? null // evaluateNetwork's built-in 1-ply greedy
+  : createPlayer(spec.name, network, engine, { ...spec.options, rng: playerRng });
+
+let lastReport = 0;
+const onProgress = (gamesDone, avgScore) => {
+  const now = Date.now();
+  if (now - lastReport < PROGRESS_MS && gamesDone < numGames) return;
+  lastReport = now;
+  parentPort.postMessage({ type: 'progress', gamesDone, avgScore });
+};
+
+const result = evaluateNetwork(network, numGames, { seed, player, onProgress });
+parentPort.postMessage({ type: 'done', result });
@@ -0,0 +1,76 @@
+// Structured training metrics: one JSON record per progress report in metrics.jsonl
+// Record fields:
+//   episode, totalEpisodes, avgScore, maxTile, episodesPerSec, learningRate, elapsedSeconds
+//   tileDist   { tile: games } over the rolling window of recent games
+//   reachRates { tile: percent of window games reaching it }
+//   eval       { numGames, seed, avgScore, scoreCI, stdScore, medScore, avgMoves, msPerGame,
+//                reachRates, reachIntervals, tileDist } when evaluated (see evaluateNetwork;
+//                rates and 95% Wilson intervals in percent)
+
+import { writeFileSync, appendFileSync } from 'node:fs';
+
+// Tile distribution and reach rates (percent) for a list of log2 max tiles
+export function tileStats(maxTilesLog2) {
+  const tileDist = {};
+  for (const t of maxTilesLog2) {
+    const val = 1 << t;
+    tileDist[val] = (tileDist[val] || 0) + 1;
+  }
+  const reachRates = {};
+  let reached = 0;
+  const tiles = Object.keys(tileDist).map(Number).sort((a, b) => b - a);
+  for (const tile of tiles) {
+    reached += tileDist[tile];
+    reachRates[tile] = round1(reached / maxTilesLog2.length * 100);
+  }
+  return { tileDist, reachRates };
+}
+
+// Evaluation result as stored in a record (statistics rounded to 0.1)
+export function evalRecord(evalResult) {
+  const { numGames, seed, avgScore, medScore, reachRates, reachIntervals, tileDist } = evalResult;
+  const rates = {};
+  const intervals = {};
+  for (const [tile, rate] of Object.entries(reachRates)) {
+    rates[tile] = round1(rate);
+    intervals[tile] = reachIntervals[tile].map(round1);
+  }
+  return {
+    numGames,
+    seed,
+    avgScore,
+    scoreCI: evalResult.scoreCI.map(round1),
+    stdScore: round1(evalResult.stdScore),
+    medScore,
+    avgMoves: round1(evalResult.avgMoves),
+    msPerGame: round1(evalResult.msPerGame),
+    reachRates: rates,
+    reachIntervals: intervals,
+    tileDist,
+  };
+}
+
+// Console lines for an evaluation result: scores, then reach rates with 95% intervals
+export function formatEval(evalResult) {
+  const { avgScore, scoreCI, medScore, stdScore, avgMoves, msPerGame, reachRates, reachIntervals } = evalResult;
+  const scores = `Avg Score: ${Math.round(avgScore)} (95% CI ${Math.round(scoreCI[0])}-${Math.round(scoreCI[1])})` +
+    ` | Med Score: ${Math.round(medScore)} | Std: ${Math.round(stdScore)}` +
+    ` | Moves: ${avgMoves.toFixed(0)} | ${msPerGame.toFixed(1)} ms/game`;
+  const reach = Object.entries(reachRates)
+    .map(([tile, rate]) => `${tile}: ${rate.toFixed(1)}% (${reachIntervals[tile].map(x => x.toFixed(1)).join('-')})`)
+    .join(' | ');
+  return { scores, reach: `Reach rates: ${reach}` };
+}
+
+// Replace the file with `records` (e.g. the history restored from a checkpoint)
+export function writeMetrics(filepath, records) {
+  writeFileSync(filepath, records.map(r => JSON.stringify(r) + '\n').join(''));
+}
+
+export function appendMetrics(filepath, record) {
+  appendFileSync(filepath, JSON.stringify(record) + '\n');
+}
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
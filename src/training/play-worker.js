@@ -0,0 +1,78 @@
+// Replay worker thread: plays one recorded game off the main thread
+// Started by the dashboard for POST /api/play, since a search player can take
+// seconds per game. Reads the LUTs through the shared buffers of the loaded
+// network, like eval-worker.js.
+//
+// workerData: { desc, buffers, seed, player }
+//   desc/buffers: network.describe() and network.sharedBuffers() of the network
+//   seed: tile spawn seed (null = Math.random)
+//   player: { name, options, label } of a registered player (src/player/registry.js)
+// Messages out:
+//   { type: 'done', result }   the recorded game (see playFullGame)
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { createEngine } from '../game/engine-core.js';
+import { createRng, deriveSeed } from '../game/rng.js';
+import { buildNetwork } from '../network/load-network.js';
+import { createPlayer } from '../player/registry.js';
+
+const { desc, buffers, seed, player: spec } = workerData;
+const network = buildNetwork(desc, { buffers });
+const engine = createEngine({ rows: desc.rows, cols: desc.cols });
+
+// Steps record each direction's value (moveValues) when the player reports them
+function playFullGame() {
+  const { createBoard, cloneBoard, move, canMove, addRandomTile, maxTile, tileValue, toGrid, SIZE } = engine;
+  const rng = seed === null ? Math.random : createRng(seed);
+  const playerRng = seed === null ? Math.random : createRng(deriveSeed(seed, -1));
+  const player = createPlayer(spec.name, network, engine, { ...spec.options, rng: playerRng });
+
+  const board = createBoard(rng);
+  const steps = [];
+  let cumulativeScore = 0;
+
+  steps.push({
+    grid: toGrid(board),
+    direction: null,
+    reward: 0,
+    cumulativeScore: 0,
+    vAfterstate: null,
+    moveValues: null,
+  });
+
+  while (true) {
+    const { dir, values } = player.decide(board);
+    if (dir === -1) break;
+
+    const afterstate = cloneBoard(board);
+    const result = move(afterstate, dir);
+    const vAfter = network.evaluate(afterstate);
+    cumulativeScore += result.reward;
+
+    move(board, dir);
+    addRandomTile(board, rng);
+
+    steps.push({
+      grid: toGrid(board),
+      direction: dir,
+      reward: result.reward,
+      cumulativeScore,
+      vAfterstate: Math.round(vAfter * 100) / 100,
+      moveValues: values && values.map(v => v === null ? null : Math.round(v * 100) / 100),
+    });
+
+    if (!canMove(board)) break;
+  }
+
+  return {
+    steps,
+    finalScore: cumulativeScore,
+    maxTile: tileValue(maxTile(board)),
+    totalSteps: steps.length - 1,
+    boardSize: SIZE,
+    seed,
+    player: spec,
+  };
+}
+
+parentPort.postMessage({ type: 'done', result: playFullGame() });
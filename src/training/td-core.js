@@ -0,0 +1,243 @@
+// TD Afterstate Learning for 2048, parameterized by game engine
+// Key insight: learn V(afterstate) where afterstate = board after slide, before random tile
+// createTDLearning(engine, { reachThresholds }) returns { playEpisode, evaluateNetwork }
+//
+// Backups: TD(0) by default; TD(λ) as a forward-view λ-return truncated to a
+// window of `horizon` moves, and n-step returns (λ = 1, horizon = n).
+// Bootstrap values are the V(afterstate) cached when each move was chosen.
+
+import { createRng, deriveSeed } from '../game/rng.js';
+import { mean, std, quantile, meanInterval, wilsonInterval } from '../stats/statistics.js';
+
+const TD_MODES = ['td0', 'lambda', 'nstep'];
+
+const TD0_BACKUP = { lambda: 0, horizon: 1 };
+
+// Score percentiles reported by evaluateNetwork
+const SCORE_PERCENTILES = [10, 25, 50, 75, 90];
+
+// Map a trainer's tdMode to playEpisode's backup parameters
+// lambda mode: { lambda (default 0.5), window (default 8) }; nstep mode: { nStep (default 3) }
+export function resolveBackup(tdMode = 'td0', { lambda = 0.5, window = 8, nStep = 3 } = {}) {
+  switch (tdMode) {
+    case 'td0':
+      return TD0_BACKUP;
+    case 'lambda':
+      if (!(lambda >= 0 && lambda <= 1)) throw new Error(`TD lambda must be in [0, 1]: ${lambda}`);
+      if (!(Number.isInteger(window) && window >= 1)) throw new Error(`TD window must be a positive integer: ${window}`);
+      return { lambda, horizon: window };
+    case 'nstep':
+      if (!(Number.isInteger(nStep) && nStep >= 1)) throw new Error(`n-step must be a positive integer: ${nStep}`);
+      return { lambda: 1, horizon: nStep };
+    default:
+      throw new Error(`Unknown tdMode: ${tdMode} (expected ${TD_MODES.join(', ')})`);
+  }
+}
+
+export function createTDLearning(engine, { reachThresholds }) {
+  const { createBoard, move, cloneBoard, canMove, addRandomTile, maxTile } = engine;
+
+  // Play one episode (one complete game) and learn from it
+  // options.rng: tile spawn generator (default Math.random)
+  // options.backup: { lambda, horizon } from resolveBackup() (default TD(0))
+  // Returns { score, maxTileLog2, steps }
+  function playEpisode(network, learningRate, options = {}) {
+    const rng = options.rng || Math.random;
+    const { lambda, horizon } = options.backup || TD0_BACKUP;
+    const board = createBoard(rng);
+    let score = 0;
+    let steps = 0;
+
+    // Afterstates still waiting for their target, oldest first.
+    // values[k] is V(afterstates[k]) when it was chosen; rewards[k] is the
+    // reward of the move that led to afterstates[k]
+    const afterstates = [];
+    const rewards = [];
+    const values = [];
+
+    // Update the oldest pending afterstate towards its truncated λ-return,
+    // bootstrapping from the cached values of the afterstates that followed it
+    // (a missing successor means the game ended there: reward 0, value 0)
+    const backupOldest = () => {
+      const top = Math.min(horizon, afterstates.length);
+      let target = top < afterstates.length ? rewards[top] + values[top] : 0;
+      for (let k = top - 1; k >= 1; k--) {
+        target = rewards[k] + (1 - lambda) * values[k] + lambda * target;
+      }
+      const oldest = afterstates.shift();
+      rewards.shift();
+      values.shift();
+      network.learn(oldest, target - network.evaluate(oldest), learningRate);
+    };
+
+    while (true) {
+      // Find best move: maximize reward + V(afterstate)
+      let bestDir = -1;
+      let bestValue = -Infinity;
+      let bestAfterstate = null;
+      let bestReward = 0;
+      let bestAfterValue = 0;
+
+      for (let dir = 0; dir < 4; dir++) {
+        const after = cloneBoard(board);
+        const result = move(after, dir);
+        if (!result.moved) continue;
+
+        const afterValue = network.evaluate(after);
+        const value = result.reward + afterValue;
+        if (value > bestValue) {
+          bestValue = value;
+          bestDir = dir;
+          bestAfterstate = after;
+          bestReward = result.reward;
+          bestAfterValue = afterValue;
+        }
+      }
+
+      // No valid move = game over
+      if (bestDir === -1) break;
+
+      // Record current afterstate; once `horizon` successors are known the
+      // oldest one gets its update (network.learn applies TC rates if enabled)
+      afterstates.push(bestAfterstate);
+      rewards.push(bestReward);
+      values.push(bestAfterValue);
+      if (afterstates.length > horizon) backupOldest();
+      score += bestReward;
+      steps++;
+
+      // Apply move to actual board
+      move(board, bestDir);
+
+      // Add random tile
+      addRandomTile(board, rng);
+
+      // Check if game is over after tile addition
+      if (!canMove(board)) break;
+    }
+
+    // Terminal updates: returns are truncated at the end of the game
+    while (afterstates.length > 0) backupOldest();
+
+    return {
+      score,
+      maxTileLog2: maxTile(board),
+      steps,
+    };
+  }
+
+  // Evaluate the network by playing games without learning
+  // options.seed: game i uses a generator seeded with deriveSeed(seed, i)
+  // options.player: object with selectMove(board) to play instead of 1-ply greedy
+  // options.onProgress: called after every game with (gamesDone, avgScore so far)
+  // Returns { numGames, seed, avgScore, scoreCI, stdScore, medScore, minScore, maxScore,
+  //   scorePercentiles, avgMoves, msPerGame, tileDist, reachRates, reachIntervals }
+  //   scoreCI: 95% t interval of avgScore
+  //   scorePercentiles: { 10, 25, 50, 75, 90 } -> score
+  //   reachRates: { tile: percent of games reaching it }, reachIntervals: { tile: [lo, hi] }
+  //   95% Wilson intervals of the reach rates, in percent
+  function evaluateNetwork(network, numGames, options = {}) {
+    const seed = options.seed ?? null;
+    const player = options.player || null;
+    const onProgress = options.onProgress || null;
+    const scores = [];
+    const maxTiles = [];
+    const moves = [];
+    let totalScore = 0;
+    const start = Date.now();
+
+    for (let i = 0; i < numGames; i++) {
+      const rng = seed === null ? Math.random : createRng(deriveSeed(seed, i));
+      const result = playEvalGame(network, rng, player);
+      scores.push(result.score);
+      maxTiles.push(result.maxTileLog2);
+      moves.push(result.moves);
+      totalScore += result.score;
+      if (onProgress) onProgress(i + 1, totalScore / (i + 1));
+    }
+    const msPerGame = (Date.now() - start) / numGames;
+
+    // Compute stats
+    scores.sort((a, b) => a - b);
+    const { mean: avgScore, ci: scoreCI } = meanInterval(scores);
+    const medScore = scores[Math.floor(numGames / 2)];
+    const scorePercentiles = {};
+    for (const p of SCORE_PERCENTILES) scorePercentiles[p] = quantile(scores, p / 100);
+
+    // Tile distribution
+    const tileDist = {};
+    for (const t of maxTiles) {
+      const val = 1 << t;
+      tileDist[val] = (tileDist[val] || 0) + 1;
+    }
+
+    // Reach rates
+    const reachRates = {};
+    const reachIntervals = {};
+    for (const threshold of reachThresholds) {
+      const count = maxTiles.filter(t => t >= threshold).length;
+      reachRates[1 << threshold] = count / numGames * 100;
+      reachIntervals[1 << threshold] = wilsonInterval(count, numGames).map(x => x * 100);
+    }
+
+    return {
+      numGames,
+      seed,
+      avgScore,
+      scoreCI,
+      stdScore: std(scores),
+      medScore,
+      minScore: scores[0],
+      maxScore: scores[numGames - 1],
+      scorePercentiles,
+      avgMoves: mean(moves),
+      msPerGame,
+      tileDist,
+      reachRates,
+      reachIntervals,
+    };
+  }
+
+  // Play a single evaluation game (no learning)
+  function playEvalGame(network, rng, player) {
+    const board = createBoard(rng);
+    let score = 0;
+    let moves = 0;
+
+    while (true) {
+      const bestDir = player ? player.selectMove(board) : greedyMove(network, board);
+      if (bestDir === -1) break;
+
+      const result = move(board, bestDir);
+      score += result.reward;
+      moves++;
+      addRandomTile(board, rng);
+
+      if (!canMove(board)) break;
+    }
+
+    return { score, maxTileLog2: maxTile(board), moves };
+  }
+
+  // 1-ply greedy move: maximize reward + V(afterstate) (-1 = no legal move)
+  function greedyMove(network, board) {
+    let bestDir = -1;
+    let bestValue = -Infinity;
+
+    for (let dir = 0; dir < 4; dir++) {
+      const after = cloneBoard(board);
+      const result = move(after, dir);
+      if (!result.moved) continue;
+
+      const value = result.reward + network.evaluate(after);
+      if (value > bestValue) {
+        bestValue = value;
+        bestDir = dir;
+      }
+    }
+
+    return bestDir;
+  }
+
+  return { playEpisode, evaluateNetwork };
+}
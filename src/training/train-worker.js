@@ -0,0 +1,31 @@
+// Training worker thread: plays TD episodes against LUTs shared with the main thread
+// Started by TrainingWorkerPool (worker-pool.js). Updates are lock-free (Hogwild):
+// concurrent writes to the same LUT entry may occasionally lose one update.
+//
+// workerData: { desc, buffers, backup, seed, rngState }
+//   desc/buffers: network.describe() and network.sharedBuffers() of the main network
+//   seed: tile spawn seed for this worker (null = Math.random)
+//   rngState: generator state to resume from (optional)
+// Messages in:  { episodes, learningRate }
+// Messages out: { results: [{ score, maxTileLog2, steps }, ...], rngState }
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { createEngine } from '../game/engine-core.js';
+import { createRng } from '../game/rng.js';
+import { buildNetwork } from '../network/load-network.js';
+import { createTDLearning } from './td-core.js';
+
+const { desc, buffers, backup, seed, rngState } = workerData;
+const network = buildNetwork(desc, { buffers });
+const engine = createEngine({ rows: desc.rows, cols: desc.cols });
+const { playEpisode } = createTDLearning(engine, { reachThresholds: [] });
+const rng = seed === null ? Math.random : createRng(seed);
+if (rngState && seed !== null) rng.setState(rngState);
+
+parentPort.on('message', ({ episodes, learningRate }) => {
+  const results = [];
+  for (let i = 0; i < episodes; i++) {
+    results.push(playEpisode(network, learningRate, { rng, backup }));
+  }
+  parentPort.postMessage({ results, rngState: seed === null ? null : rng.getState() });
+});
@@ -0,0 +1,371 @@
+// Board-size-independent training orchestrator: episodes, progress reports,
+// checkpoints with the full trainer state, SIGINT / SIGTERM handling and the worker pool
+// trainer.js (5x5) and trainer4x4.js (4x4, with GIF recording) subclass it
+//
+// Subclasses pass { NTupleNetwork, playEpisode, evaluateNetwork, defaults } for
+// their board size and may override the hooks below (no-ops here):
+//   _prepare()               once before training, after the checkpoint directory exists
+//   _beforeEpisode(ep)       before episode ep (or the worker round starting at ep)
+//   _onNewBest(ep, score)    after an episode beat the best score so far
+//   _beforeFinalSave()       once after the last episode of a completed run
+
+import { existsSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { MultiStageNetwork } from '../network/multi-stage.js';
+import { resolveBackup } from './td-core.js';
+import { TrainingWorkerPool } from './worker-pool.js';
+import { tileStats, evalRecord, formatEval, writeMetrics, appendMetrics } from './metrics.js';
+import { createRng, deriveSeed } from '../game/rng.js';
+
+export class Trainer {
+  // defaults: { learningRate, evalInterval, checkpointInterval, checkpointDir } for the board size
+  constructor(options, { NTupleNetwork, playEpisode, evaluateNetwork, defaults }) {
+    this.playEpisode = playEpisode;
+    this.evaluateNetwork = evaluateNetwork;
+    this.totalEpisodes = options.totalEpisodes || 100000;
+    this.learningRate = options.learningRate || defaults.learningRate;
+    this.evalInterval = options.evalInterval || defaults.evalInterval;
+    this.evalGames = options.evalGames || 100;
+    this.checkpointInterval = options.checkpointInterval || defaults.checkpointInterval;
+    this.checkpointDir = options.checkpointDir || defaults.checkpointDir;
+    this.metricsFile = options.metricsFile || join(this.checkpointDir, 'metrics.jsonl'); // see metrics.js
+    this.lrDecayInterval = options.lrDecayInterval || 0; // 0 = no decay
+    this.lrDecayFactor = options.lrDecayFactor || 0.5;
+    this.resumeFrom = options.resumeFrom || null;
+    this.seed = options.seed ?? null; // null = unseeded (Math.random)
+
+    // Tile spawns for training episodes; evaluation and GIF games use derived seeds
+    this.rng = this.seed === null ? Math.random : createRng(this.seed);
+
+    // numValues > 16 widens the per-cell alphabet for tiles beyond 32768
+    // stages: log2 max-tile thresholds for a multi-stage network (e.g. [13, 14])
+    // workers > 1: play episodes on worker threads that update shared LUTs (Hogwild)
+    this.workers = options.workers || 1;
+    this.workerBatch = options.workerBatch || 25; // episodes per worker per round
+    const createNetwork = () => new NTupleNetwork({ numValues: options.numValues, shared: this.workers > 1 });
+    this.network = options.stages && options.stages.length > 0
+      ? new MultiStageNetwork(createNetwork, { thresholds: options.stages })
+      : createNetwork();
+
+    // lrMode 'tc': Temporal Coherence per-entry adaptive rates on top of learningRate
+    this.lrMode = options.lrMode || 'fixed';
+    if (this.lrMode === 'tc') {
+      this.network.enableTC();
+    } else if (this.lrMode !== 'fixed') {
+      throw new Error(`Unknown lrMode: ${this.lrMode} (expected fixed or tc)`);
+    }
+
+    // tdMode: 'td0' (default), 'lambda' (λ-return over tdWindow moves) or 'nstep' (nStep-step return)
+    this.tdMode = options.tdMode || 'td0';
+    this.tdLambda = options.tdLambda ?? 0.5;
+    this.tdWindow = options.tdWindow || 8;
+    this.nStep = options.nStep || 3;
+    this.backup = resolveBackup(this.tdMode, { lambda: this.tdLambda, window: this.tdWindow, nStep: this.nStep });
+
+    // Training progress; a checkpoint's trainerState restores all of it on resume
+    this.startEpisode = 0;
+    this.currentLR = this.learningRate;
+    this.recentScores = [];
+    this.recentMaxTiles = [];
+    this.history = []; // metrics records, one per progress report
+    this.elapsedSeconds = 0; // training time before this run
+    this.workerRngStates = null;
+    this.bestScore = 0;
+
+    // handleSignals: on SIGINT / SIGTERM finish the current episode (or worker
+    // round), save interrupted-<episode>.bin and return from train() with
+    // interrupted set (stopSignal names the signal)
+    this.handleSignals = options.handleSignals ?? true;
+    this.stopSignal = null;
+    this.interrupted = false;
+
+    // Load checkpoint if resuming
+    if (this.resumeFrom) {
+      console.log(`Resuming from ${this.resumeFrom}`);
+      if (this.resumeFrom.endsWith('.bin')) {
+        this.network.loadBinary(this.resumeFrom);
+      } else {
+        this.network.load(this.resumeFrom);
+      }
+      if (this.network.trainerState) {
+        this._restoreState(this.network.trainerState, options);
+        console.log(`  Continuing from episode ${this.startEpisode} (lr=${this.currentLR})`);
+      } else {
+        const { episodes, learningRate } = this.network.provenance;
+        if (episodes !== undefined) console.log(`  Checkpoint was saved after ${episodes} episodes (lr=${learningRate})`);
+        console.log('  No trainer state in checkpoint: restarting the episode count and learning rate');
+      }
+    }
+  }
+
+  // Route SIGINT / SIGTERM to a stop request; a second signal exits immediately
+  // Returns a function that removes the handlers
+  _installSignalHandlers() {
+    const onSignal = (signal) => {
+      if (this.stopSignal !== null) {
+        console.log(`\n${signal} again: exiting without saving`);
+        process.exit(signal === 'SIGINT' ? 130 : 143);
+      }
+      this.stopSignal = signal;
+      console.log(`\n${signal} received: finishing the current episode and saving a checkpoint...`);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    return () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    };
+  }
+
+  // Everything needed to continue a run exactly where a checkpoint left off
+  _trainerState(episode, currentLR, elapsedSeconds, workerRngStates) {
+    return {
+      episode,
+      learningRate: currentLR,
+      seed: this.seed,
+      rngState: this.seed === null ? null : this.rng.getState(),
+      workerRngStates,
+      recentScores: this.recentScores,
+      recentMaxTiles: this.recentMaxTiles,
+      history: this.history,
+      bestScore: this.bestScore,
+      elapsedSeconds,
+    };
+  }
+
+  // Restore a checkpoint's trainer state; an explicit options.seed overrides the saved one
+  _restoreState(state, options) {
+    this.startEpisode = state.episode;
+    this.currentLR = state.learningRate;
+    if (options.seed === undefined && state.seed !== null) {
+      this.seed = state.seed;
+      this.rng = createRng(this.seed);
+    }
+    if (state.rngState && this.seed === state.seed) this.rng.setState(state.rngState);
+    this.workerRngStates = state.workerRngStates || null;
+    this.recentScores = state.recentScores || [];
+    this.recentMaxTiles = state.recentMaxTiles || [];
+    this.history = state.history || [];
+    this.bestScore = state.bestScore || 0;
+    this.elapsedSeconds = state.elapsedSeconds || 0;
+  }
+
+  // Training metadata recorded in the weight file header
+  _provenance(episodes, currentLR) {
+    return {
+      episodes,
+      learningRate: currentLR,
+      initialLearningRate: this.learningRate,
+      lrMode: this.lrMode,
+      tdMode: this.tdMode,
+      ...(this.tdMode === 'lambda' ? { tdLambda: this.tdLambda, tdWindow: this.tdWindow } : {}),
+      ...(this.tdMode === 'nstep' ? { nStep: this.nStep } : {}),
+      lrDecayInterval: this.lrDecayInterval,
+      lrDecayFactor: this.lrDecayFactor,
+      seed: this.seed,
+      workers: this.workers,
+    };
+  }
+
+  // Episodes in the worker-pool round starting at `ep`: up to workerBatch per
+  // worker, ending at the next progress report, checkpoint or LR decay
+  // (subclasses shorten it further for their own per-episode events)
+  _roundSize(ep, numWorkers) {
+    let end = Math.min(this.totalEpisodes, ep + numWorkers * this.workerBatch);
+    for (const interval of [this.evalInterval, this.checkpointInterval, this.lrDecayInterval]) {
+      if (interval > 0) end = Math.min(end, (Math.floor(ep / interval) + 1) * interval);
+    }
+    return end - ep;
+  }
+
+  // Backup used for learning, e.g. "TD(0)", "TD(λ=0.5, window 8)", "3-step TD"
+  _tdLabel() {
+    if (this.tdMode === 'lambda') return `TD(λ=${this.tdLambda}, window ${this.tdWindow})`;
+    if (this.tdMode === 'nstep') return `${this.nStep}-step TD`;
+    return 'TD(0)';
+  }
+
+  // Seed for an evaluation run at a given episode (null when training is unseeded)
+  _evalSeed(episode) {
+    return this.seed === null ? null : deriveSeed(this.seed, episode);
+  }
+
+  _prepare() {}
+
+  _beforeEpisode() {}
+
+  _onNewBest() {}
+
+  _beforeFinalSave() {}
+
+  async train() {
+    const stats = this.network.stats();
+    console.log(`N-tuple Network (${this.network.boardSize}): ${stats.numBasePatterns} patterns, ${stats.totalVariants} variants, ${stats.totalEntries} entries (${stats.totalMB} MB), ${stats.numValues} values/cell`);
+    if (stats.numStages) console.log(`Multi-stage: ${stats.numStages} stages, thresholds ${stats.stageThresholds.join(', ')}`);
+    const range = this.startEpisode > 0 ? `episodes ${this.startEpisode + 1}-${this.totalEpisodes}` : `${this.totalEpisodes} episodes`;
+    console.log(`Training ${range} with ${this._tdLabel()}, lr=${this.currentLR}${this.lrMode === 'tc' ? ' (TC)' : ''}${this.seed === null ? '' : `, seed=${this.seed}`}${this.workers > 1 ? `, ${this.workers} workers` : ''}`);
+    console.log(`Metrics: ${this.metricsFile}`);
+    console.log('---');
+
+    // Ensure checkpoint directory
+    if (!existsSync(this.checkpointDir)) {
+      mkdirSync(this.checkpointDir, { recursive: true });
+    }
+    // Start the metrics file from the restored history (empty for a fresh run)
+    writeMetrics(this.metricsFile, this.history);
+    this._prepare();
+
+    const windowSize = 1000;
+    const recentScores = this.recentScores;
+    const recentMaxTiles = this.recentMaxTiles;
+    let totalStartTime = Date.now() - this.elapsedSeconds * 1000;
+    let windowStartTime = Date.now();
+    let currentLR = this.currentLR;
+
+    // With workers, episodes run in rounds on the pool; a round never crosses
+    // a decay / report / checkpoint boundary, so the checks below still line up
+    const pool = this.workers > 1
+      ? new TrainingWorkerPool(this.network, {
+        numWorkers: this.workers, backup: this.backup, seed: this.seed, rngStates: this.workerRngStates,
+      })
+      : null;
+    const trainerState = (episode) => this._trainerState(
+      episode, currentLR, (Date.now() - totalStartTime) / 1000, pool ? pool.rngStates : this.workerRngStates
+    );
+
+    const removeSignalHandlers = this.handleSignals ? this._installSignalHandlers() : () => {};
+    const runStartEpisode = this.startEpisode;
+    const runStartTime = Date.now();
+
+    let ep = this.startEpisode;
+    // Close the pool and remove the signal handlers even if an episode,
+    // a report or a checkpoint save throws
+    try {
+      while (ep < this.totalEpisodes && this.stopSignal === null) {
+        // Learning rate decay
+        if (this.lrDecayInterval > 0 && ep > 0 && ep % this.lrDecayInterval === 0) {
+          currentLR *= this.lrDecayFactor;
+          console.log(`  LR decayed to ${currentLR.toExponential(2)}`);
+        }
+
+        this._beforeEpisode(ep);
+
+        const results = pool
+          ? await pool.play(this._roundSize(ep, pool.size), currentLR)
+          : [this.playEpisode(this.network, currentLR, { rng: this.rng, backup: this.backup })];
+
+        for (const result of results) {
+          recentScores.push(result.score);
+          recentMaxTiles.push(result.maxTileLog2);
+          if (recentScores.length > windowSize) {
+            recentScores.shift();
+            recentMaxTiles.shift();
+          }
+
+          if (result.score > this.bestScore) {
+            this.bestScore = result.score;
+            this._onNewBest(ep, result.score);
+          }
+
+          // Progress report every evalInterval episodes
+          if ((ep + 1) % this.evalInterval === 0) {
+            const elapsed = (Date.now() - windowStartTime) / 1000;
+            const totalElapsed = (Date.now() - totalStartTime) / 1000;
+            const eps = this.evalInterval / elapsed;
+            const avgScore = recentScores.reduce((s, v) => s + v, 0) / recentScores.length;
+            const maxTileVal = 1 << Math.max(...recentMaxTiles);
+
+            console.log(
+              `Episode ${ep + 1}/${this.totalEpisodes} | ` +
+              `Avg Score: ${Math.round(avgScore)} | ` +
+              `Max Tile: ${maxTileVal} | ` +
+              `Speed: ${eps.toFixed(0)} ep/s | ` +
+              `LR: ${currentLR.toExponential(2)} | ` +
+              `Time: ${formatTime(totalElapsed)}`
+            );
+            const entry = {
+              episode: ep + 1,
+              totalEpisodes: this.totalEpisodes,
+              avgScore,
+              maxTile: maxTileVal,
+              episodesPerSec: eps,
+              learningRate: currentLR,
+              elapsedSeconds: totalElapsed,
+              ...tileStats(recentMaxTiles),
+            };
+
+            // Detailed evaluation
+            if ((ep + 1) % (this.evalInterval * 5) === 0 || ep + 1 === this.totalEpisodes) {
+              console.log(`  Running ${this.evalGames}-game evaluation...`);
+              const evalResult = this.evaluateNetwork(this.network, this.evalGames, { seed: this._evalSeed(ep + 1) });
+              const lines = formatEval(evalResult);
+              console.log(`  Eval ${lines.scores}`);
+              console.log(`  ${lines.reach}`);
+              console.log(`  Tile dist: ${JSON.stringify(evalResult.tileDist)}`);
+              entry.eval = evalRecord(evalResult);
+            }
+
+            this.history.push(entry);
+            appendMetrics(this.metricsFile, entry);
+
+            windowStartTime = Date.now();
+          }
+
+          // Checkpoint
+          if ((ep + 1) % this.checkpointInterval === 0) {
+            const path = join(this.checkpointDir, `checkpoint-${ep + 1}.bin`);
+            this.network.saveBinary(path, this._provenance(ep + 1, currentLR), trainerState(ep + 1));
+            console.log(`  Checkpoint saved: ${path}`);
+          }
+
+          ep++;
+        }
+
+        // Let a pending signal handler run (worker rounds already yield while awaiting)
+        if (!pool) await new Promise(resolve => setImmediate(resolve));
+      }
+    } finally {
+      if (pool) await pool.close();
+      removeSignalHandlers();
+    }
+
+    if (this.stopSignal !== null) {
+      this.interrupted = true;
+      const path = join(this.checkpointDir, `interrupted-${ep}.bin`);
+      this.network.saveBinary(path, this._provenance(ep, currentLR), trainerState(ep));
+      const avgScore = recentScores.length > 0 ? recentScores.reduce((s, v) => s + v, 0) / recentScores.length : 0;
+      console.log(`\nInterrupted by ${this.stopSignal} after episode ${ep}/${this.totalEpisodes}`);
+      console.log(`  This run: ${ep - runStartEpisode} episodes in ${formatTime((Date.now() - runStartTime) / 1000)}`);
+      console.log(`  Avg Score (last ${recentScores.length}): ${Math.round(avgScore)} | LR: ${currentLR.toExponential(2)} | Best Score: ${this.bestScore}`);
+      console.log(`  Checkpoint saved: ${path}`);
+      console.log(`  Resume with: --resume ${path}`);
+      return this.network;
+    }
+
+    this._beforeFinalSave();
+
+    // Final save
+    const finalPath = join(this.checkpointDir, 'final.bin');
+    this.network.saveBinary(finalPath, this._provenance(ep, currentLR), trainerState(ep));
+    console.log(`\nTraining complete. Final weights saved to ${finalPath}`);
+
+    // Final evaluation
+    console.log(`\nFinal evaluation (${this.evalGames * 10} games)...`);
+    const finalEval = this.evaluateNetwork(this.network, this.evalGames * 10, { seed: this._evalSeed(this.totalEpisodes) });
+    const lines = formatEval(finalEval);
+    console.log(lines.scores);
+    console.log(lines.reach);
+    console.log(`Tile distribution: ${JSON.stringify(finalEval.tileDist)}`);
+
+    return this.network;
+  }
+}
+
+function formatTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) return `${h}h${m}m${s}s`;
+  if (m > 0) return `${m}m${s}s`;
+  return `${s}s`;
+}
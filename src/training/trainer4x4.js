@@ -1,46 +1,73 @@
 // Training orchestrator for 4x4: manages episodes, progress, checkpoints, and GIF recording
+// Subclass of the board-size-independent trainer in trainer-core.js; adds the GIFs
 
 import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { NTupleNetwork } from '../network/ntuple4x4.js';
 import { playEpisode, evaluateNetwork } from './td-learning4x4.js';
+import { Trainer as TrainerCore } from './trainer-core.js';
+import { createRng } from '../game/rng.js';
 import { createBoard, move, cloneBoard, canMove, addRandomTile, maxTile } from '../game/engine4x4.js';
 import { GifEncoder } from '../gif/encoder.js';
 import { renderBoard, PALETTE, IMAGE_WIDTH, IMAGE_HEIGHT } from '../gif/board-renderer.js';
 
-export class Trainer {
+export class Trainer extends TrainerCore {
   constructor(options = {}) {
-    this.totalEpisodes = options.totalEpisodes || 100000;
-    this.learningRate = options.learningRate || 0.001;
-    this.evalInterval = options.evalInterval || 5000;
-    this.evalGames = options.evalGames || 100;
-    this.checkpointInterval = options.checkpointInterval || 25000;
-    this.checkpointDir = options.checkpointDir || 'weights4x4';
+    super(options, {
+      NTupleNetwork,
+      playEpisode,
+      evaluateNetwork,
+      defaults: { learningRate: 0.001, evalInterval: 5000, checkpointInterval: 25000, checkpointDir: 'weights4x4' },
+    });
     this.gifDir = options.gifDir || 'gifs';
-    this.lrDecayInterval = options.lrDecayInterval || 0;
-    this.lrDecayFactor = options.lrDecayFactor || 0.5;
-    this.resumeFrom = options.resumeFrom || null;
 
     // GIF recording milestones
     this.gifMilestones = new Set([0, 1000, 5000, 10000, 25000, 50000, 75000, 100000]);
+  }
 
-    this.network = new NTupleNetwork();
-    this.startEpisode = 0;
-    this.bestScore = 0;
+  // Worker-pool rounds also end at the next GIF milestone
+  _roundSize(ep, numWorkers) {
+    let size = super._roundSize(ep, numWorkers);
+    for (const milestone of this.gifMilestones) {
+      if (milestone > ep) size = Math.min(size, milestone - ep);
+    }
+    return size;
+  }
 
-    if (this.resumeFrom) {
-      console.log(`Resuming from ${this.resumeFrom}`);
-      if (this.resumeFrom.endsWith('.bin')) {
-        this.network.loadBinary(this.resumeFrom);
-      } else {
-        this.network.load(this.resumeFrom);
-      }
+  _prepare() {
+    if (!existsSync(this.gifDir)) {
+      mkdirSync(this.gifDir, { recursive: true });
+    }
+  }
+
+  // GIF recording at milestones
+  _beforeEpisode(ep) {
+    if (this.gifMilestones.has(ep)) {
+      console.log(`  Recording GIF at episode ${ep}...`);
+      this._recordGif(ep, 'milestone');
+    }
+  }
+
+  // Best score GIF recording
+  _onNewBest(ep, score) {
+    // Only record GIF for significant improvements (avoid too many)
+    if (ep > 100 && (ep % 100 === 0 || score > this.bestScore * 1.1)) {
+      console.log(`  New best score: ${score} at episode ${ep}`);
+      this._recordGif(ep, 'best');
+    }
+  }
+
+  // Final GIF at completion
+  _beforeFinalSave() {
+    if (!this.gifMilestones.has(this.totalEpisodes)) {
+      console.log('  Recording final GIF...');
+      this._recordGif(this.totalEpisodes, 'final');
     }
   }
 
   // Play a game and record every step for GIF
-  _playRecordedGame() {
-    const board = createBoard();
+  _playRecordedGame(rng = Math.random) {
+    const board = createBoard(rng);
     const steps = [{ board: new Uint8Array(board), score: 0 }];
     let score = 0;
 
@@ -64,7 +91,7 @@ export class Trainer {
 
       const result = move(board, bestDir);
       score += result.reward;
-      addRandomTile(board);
+      addRandomTile(board, rng);
 
       steps.push({ board: new Uint8Array(board), score });
 
@@ -76,7 +103,8 @@ export class Trainer {
 
   // Record a game as GIF
   _recordGif(episode, label) {
-    const game = this._playRecordedGame();
+    const seed = this._evalSeed(episode);
+    const game = this._playRecordedGame(seed === null ? Math.random : createRng(seed));
     const gif = new GifEncoder(IMAGE_WIDTH, IMAGE_HEIGHT);
     gif.setGlobalPalette(PALETTE);
 
@@ -112,124 +140,4 @@ export class Trainer {
     writeFileSync(filepath, buf);
     console.log(`  GIF saved: ${filename} (${selectedSteps.length} frames, ${(buf.length / 1024).toFixed(0)}KB)`);
   }
-
-  train() {
-    const stats = this.network.stats();
-    console.log(`N-tuple Network (4x4): ${stats.numBasePatterns} patterns, ${stats.totalVariants} variants, ${stats.totalEntries} entries (${stats.totalMB} MB)`);
-    console.log(`Training ${this.totalEpisodes} episodes, lr=${this.learningRate}`);
-    console.log('---');
-
-    // Ensure directories
-    if (!existsSync(this.checkpointDir)) {
-      mkdirSync(this.checkpointDir, { recursive: true });
-    }
-    if (!existsSync(this.gifDir)) {
-      mkdirSync(this.gifDir, { recursive: true });
-    }
-
-    const windowSize = 1000;
-    const recentScores = [];
-    const recentMaxTiles = [];
-    let totalStartTime = Date.now();
-    let windowStartTime = Date.now();
-    let currentLR = this.learningRate;
-
-    for (let ep = this.startEpisode; ep < this.totalEpisodes; ep++) {
-      // Learning rate decay
-      if (this.lrDecayInterval > 0 && ep > 0 && ep % this.lrDecayInterval === 0) {
-        currentLR *= this.lrDecayFactor;
-        console.log(`  LR decayed to ${currentLR.toExponential(2)}`);
-      }
-
-      // GIF recording at milestones
-      if (this.gifMilestones.has(ep)) {
-        console.log(`  Recording GIF at episode ${ep}...`);
-        this._recordGif(ep, 'milestone');
-      }
-
-      const result = playEpisode(this.network, currentLR);
-
-      recentScores.push(result.score);
-      recentMaxTiles.push(result.maxTileLog2);
-      if (recentScores.length > windowSize) {
-        recentScores.shift();
-        recentMaxTiles.shift();
-      }
-
-      // Best score GIF recording
-      if (result.score > this.bestScore) {
-        this.bestScore = result.score;
-        // Only record GIF for significant improvements (avoid too many)
-        if (ep > 100 && (ep % 100 === 0 || result.score > this.bestScore * 1.1)) {
-          console.log(`  New best score: ${result.score} at episode ${ep}`);
-          this._recordGif(ep, 'best');
-        }
-      }
-
-      // Progress report
-      if ((ep + 1) % this.evalInterval === 0) {
-        const elapsed = (Date.now() - windowStartTime) / 1000;
-        const totalElapsed = (Date.now() - totalStartTime) / 1000;
-        const eps = this.evalInterval / elapsed;
-        const avgScore = recentScores.reduce((s, v) => s + v, 0) / recentScores.length;
-        const maxTileVal = 1 << Math.max(...recentMaxTiles);
-
-        console.log(
-          `Episode ${ep + 1}/${this.totalEpisodes} | ` +
-          `Avg Score: ${Math.round(avgScore)} | ` +
-          `Max Tile: ${maxTileVal} | ` +
-          `Speed: ${eps.toFixed(0)} ep/s | ` +
-          `LR: ${currentLR.toExponential(2)} | ` +
-          `Time: ${formatTime(totalElapsed)}`
-        );
-
-        // Detailed evaluation
-        if ((ep + 1) % (this.evalInterval * 5) === 0 || ep + 1 === this.totalEpisodes) {
-          console.log(`  Running ${this.evalGames}-game evaluation...`);
-          const evalResult = evaluateNetwork(this.network, this.evalGames);
-          console.log(`  Eval Avg Score: ${Math.round(evalResult.avgScore)} | Med Score: ${Math.round(evalResult.medScore)}`);
-          console.log(`  Reach rates: ${JSON.stringify(evalResult.reachRates)}`);
-          console.log(`  Tile dist: ${JSON.stringify(evalResult.tileDist)}`);
-        }
-
-        windowStartTime = Date.now();
-      }
-
-      // Checkpoint
-      if ((ep + 1) % this.checkpointInterval === 0) {
-        const path = join(this.checkpointDir, `checkpoint-${ep + 1}.bin`);
-        this.network.saveBinary(path);
-        console.log(`  Checkpoint saved: ${path}`);
-      }
-    }
-
-    // Final GIF at completion
-    if (!this.gifMilestones.has(this.totalEpisodes)) {
-      console.log('  Recording final GIF...');
-      this._recordGif(this.totalEpisodes, 'final');
-    }
-
-    // Final save
-    const finalPath = join(this.checkpointDir, 'final.bin');
-    this.network.saveBinary(finalPath);
-    console.log(`\nTraining complete. Final weights saved to ${finalPath}`);
-
-    // Final evaluation
-    console.log(`\nFinal evaluation (${this.evalGames * 10} games)...`);
-    const finalEval = evaluateNetwork(this.network, this.evalGames * 10);
-    console.log(`Avg Score: ${Math.round(finalEval.avgScore)} | Med Score: ${Math.round(finalEval.medScore)}`);
-    console.log(`Reach rates: ${JSON.stringify(finalEval.reachRates)}`);
-    console.log(`Tile distribution: ${JSON.stringify(finalEval.tileDist)}`);
-
-    return this.network;
-  }
-}
-
-function formatTime(seconds) {
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = Math.floor(seconds % 60);
-  if (h > 0) return `${h}h${m}m${s}s`;
-  if (m > 0) return `${m}m${s}s`;
-  return `${s}s`;
 }
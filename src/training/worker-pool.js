@@ -0,0 +1,88 @@
+// Pool of training worker threads sharing one network's LUT memory
+// The network must be created with { shared: true }. The main thread hands out
+// episode batches and keeps progress, checkpoints and evaluation to itself;
+// workers are idle between play() calls, so the main thread may read or save
+// the LUTs then without racing them.
+
+import { Worker } from 'node:worker_threads';
+import { deriveSeed } from '../game/rng.js';
+
+const WORKER_URL = new URL('./train-worker.js', import.meta.url);
+
+export class TrainingWorkerPool {
+  // options.numWorkers: number of threads
+  // options.backup: TD backup parameters (see resolveBackup in td-core.js)
+  // options.seed: base seed; worker w spawns tiles from deriveSeed(seed, -(w + 1))
+  // options.rngStates: per-worker generator states to resume from (see rngStates)
+  constructor(network, { numWorkers, backup, seed = null, rngStates = null }) {
+    const desc = network.describe();
+    const buffers = network.sharedBuffers();
+    this.workers = [];
+    // Exit code of each worker once it has exited (null while running)
+    this.exitCodes = new Array(numWorkers).fill(null);
+    // Latest generator state of each worker (null entries when unseeded)
+    this.rngStates = rngStates && rngStates.length === numWorkers
+      ? [...rngStates]
+      : new Array(numWorkers).fill(null);
+    for (let w = 0; w < numWorkers; w++) {
+      this.workers.push(new Worker(WORKER_URL, {
+        workerData: {
+          desc,
+          buffers,
+          backup,
+          seed: seed === null ? null : deriveSeed(seed, -(w + 1)),
+          rngState: this.rngStates[w],
+        },
+      }));
+      this.workers[w].once('exit', (code) => { this.exitCodes[w] = code; });
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  // Play `episodes` episodes split across the workers
+  // Resolves with the per-episode results, grouped by worker; rejects if a
+  // worker fails or exits (for any reason) before finishing its share
+  play(episodes, learningRate) {
+    const base = Math.floor(episodes / this.workers.length);
+    const extra = episodes % this.workers.length;
+    return Promise.all(this.workers.map((worker, w) => {
+      const count = base + (w < extra ? 1 : 0);
+      if (count === 0) return [];
+      if (this.exitCodes[w] !== null) {
+        return Promise.reject(new Error(`Training worker ${w} has exited (code ${this.exitCodes[w]})`));
+      }
+      return new Promise((resolve, reject) => {
+        const settle = () => {
+          worker.off('message', onMessage);
+          worker.off('error', onError);
+          worker.off('exit', onExit);
+        };
+        const onMessage = ({ results, rngState }) => {
+          settle();
+          this.rngStates[w] = rngState;
+          resolve(results);
+        };
+        const onError = (err) => {
+          settle();
+          reject(err);
+        };
+        const onExit = (code) => {
+          settle();
+          reject(new Error(`Training worker ${w} exited with code ${code} during a round`));
+        };
+        worker.once('message', onMessage);
+        worker.once('error', onError);
+        worker.once('exit', onExit);
+        worker.postMessage({ episodes: count, learningRate });
+      });
+    })).then(groups => groups.flat());
+  }
+
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+  }
+}
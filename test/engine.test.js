@@ -0,0 +1,121 @@
+// move() on the row-transition tables against a plain reference slide,
+// on square and rectangular boards, including lines that fall back to slideLine
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../src/game/engine-core.js';
+import { createRng } from '../src/game/rng.js';
+
+// Reference: slide every line toward the move direction, one merge per tile
+function referenceMove(board, rows, cols, dir) {
+  const after = new Uint8Array(board);
+  const vertical = dir === 0 || dir === 2;
+  const numLines = vertical ? cols : rows;
+  const len = vertical ? rows : cols;
+  const cellOf = (k, i) => {
+    switch (dir) {
+      case 0: return i * cols + k;
+      case 1: return k * cols + (cols - 1 - i);
+      case 2: return (rows - 1 - i) * cols + k;
+      default: return k * cols + i;
+    }
+  };
+  let reward = 0;
+  for (let k = 0; k < numLines; k++) {
+    const tiles = [];
+    for (let i = 0; i < len; i++) {
+      const v = board[cellOf(k, i)];
+      if (v !== 0) tiles.push(v);
+    }
+    const out = [];
+    for (let i = 0; i < tiles.length; i++) {
+      if (i + 1 < tiles.length && tiles[i] === tiles[i + 1]) {
+        out.push(tiles[i] + 1);
+        reward += 2 ** (tiles[i] + 1);
+        i++;
+      } else {
+        out.push(tiles[i]);
+      }
+    }
+    for (let i = 0; i < len; i++) after[cellOf(k, i)] = out[i] ?? 0;
+  }
+  const moved = after.some((v, i) => v !== board[i]);
+  return { board: after, moved, reward };
+}
+
+// Random board with empty cells and tiles up to maxValue, biased toward merges
+function randomBoard(total, rng, maxValue) {
+  const board = new Uint8Array(total);
+  for (let i = 0; i < total; i++) {
+    if (rng() < 0.3) continue;
+    board[i] = i > 0 && rng() < 0.3 && board[i - 1] !== 0
+      ? board[i - 1]
+      : 1 + Math.floor(rng() * maxValue);
+  }
+  return board;
+}
+
+const SHAPES = [[4, 4], [5, 5], [3, 5], [5, 3], [2, 6], [6, 2]];
+
+for (const [rows, cols] of SHAPES) {
+  test(`move matches the reference slide on ${rows}x${cols} boards`, () => {
+    const engine = createEngine({ rows, cols });
+    const rng = createRng(rows * 10 + cols);
+    for (let n = 0; n < 500; n++) {
+      const board = randomBoard(rows * cols, rng, 15);
+      for (let dir = 0; dir < 4; dir++) {
+        const expected = referenceMove(board, rows, cols, dir);
+        const after = engine.cloneBoard(board);
+        const { moved, reward } = engine.move(after, dir);
+        assert.deepEqual(after, expected.board, `board ${board} dir ${dir}`);
+        assert.equal(moved, expected.moved);
+        assert.equal(reward, expected.reward);
+      }
+    }
+  });
+}
+
+test('move falls back to slideLine for merges and tiles above 15', () => {
+  const engine = createEngine({ rows: 4, cols: 4 });
+  const board = engine.fromGrid([
+    [32768, 32768, 0, 2],
+    [65536, 65536, 4, 4],
+    [0, 0, 0, 0],
+    [131072, 2, 2, 2],
+  ]);
+  const after = engine.cloneBoard(board);
+  const { moved, reward } = engine.move(after, 3);
+  assert.equal(moved, true);
+  assert.equal(reward, 65536 + 131072 + 8 + 4);
+  assert.deepEqual(engine.toGrid(after), [
+    [65536, 2, 0, 0],
+    [131072, 8, 0, 0],
+    [0, 0, 0, 0],
+    [131072, 4, 2, 0],
+  ]);
+});
+
+test('move reports no change for a blocked direction', () => {
+  const engine = createEngine({ rows: 4, cols: 4 });
+  const board = engine.fromGrid([
+    [2, 4, 0, 0],
+    [8, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+  const after = engine.cloneBoard(board);
+  assert.deepEqual(engine.move(after, 3), { moved: false, reward: 0 });
+  assert.deepEqual(after, board);
+});
+
+test('canMove detects empty cells and adjacent pairs only', () => {
+  const engine = createEngine({ rows: 2, cols: 3 });
+  assert.equal(engine.canMove(engine.fromGrid([[2, 4, 2], [4, 2, 4]])), false);
+  assert.equal(engine.canMove(engine.fromGrid([[2, 4, 2], [4, 2, 2]])), true);
+  assert.equal(engine.canMove(engine.fromGrid([[2, 4, 2], [2, 8, 4]])), true);
+  assert.equal(engine.canMove(engine.fromGrid([[2, 4, 0], [4, 2, 4]])), true);
+});
+
+test('createEngine rejects boards smaller than 2x2', () => {
+  assert.throws(() => createEngine({ rows: 1, cols: 4 }), /Invalid board size/);
+});
@@ -0,0 +1,32 @@
+// Multi-stage network: --stages parsing and stage selection by max tile
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MultiStageNetwork, parseStageTiles } from '../src/network/multi-stage.js';
+import { NTupleNetwork } from '../src/network/ntuple-core.js';
+
+test('parseStageTiles accepts powers of two >= 2', () => {
+  assert.deepEqual(parseStageTiles('8192,16384'), [13, 14]);
+  assert.deepEqual(parseStageTiles('2'), [1]);
+});
+
+test('parseStageTiles rejects other values', () => {
+  for (const value of ['3000', '1', '0', '-8', 'abc', '8192,', '', '2.5', '1e20']) {
+    assert.throws(() => parseStageTiles(value), /Invalid stage tile/, value);
+  }
+});
+
+test('stageOf counts the thresholds reached by the max tile', () => {
+  const network = new MultiStageNetwork(
+    () => new NTupleNetwork({ rows: 4, patterns: [[0, 1, 2, 3]] }),
+    { thresholds: parseStageTiles('8192,16384') },
+  );
+  const board = new Uint8Array(16);
+  board[5] = 12;
+  assert.equal(network.stageOf(board), 0);
+  board[5] = 13;
+  assert.equal(network.stageOf(board), 1);
+  board[9] = 15;
+  assert.equal(network.stageOf(board), 2);
+  assert.throws(() => new MultiStageNetwork(() => null, { thresholds: parseStageTiles('16384,8192') }), /ascending/);
+});
@@ -0,0 +1,52 @@
+// Seeded RNG and seed derivation: same seed, same tile sequence, across runs and resumes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, deriveSeed, parseSeed } from '../src/game/rng.js';
+
+const draw = (rng, n) => Array.from({ length: n }, () => rng());
+
+test('createRng is deterministic and pinned to known outputs', () => {
+  // Changing these breaks every recorded seed (benchmarks, checkpoints)
+  const outputs = draw(createRng(1), 3).map(x => x * 2 ** 32);
+  assert.deepEqual(outputs, [2442144158, 3238099751, 3819917871]);
+  assert.deepEqual(draw(createRng(42), 100), draw(createRng(42), 100));
+  assert.notDeepEqual(draw(createRng(42), 10), draw(createRng(43), 10));
+});
+
+test('createRng stays in [0, 1)', () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 10000; i++) {
+    const x = rng();
+    assert.ok(x >= 0 && x < 1, `${x}`);
+  }
+});
+
+test('getState / setState resume the same sequence', () => {
+  const rng = createRng(9);
+  draw(rng, 37);
+  const state = rng.getState();
+  const expected = draw(rng, 50);
+
+  const resumed = createRng(0);
+  resumed.setState(state);
+  assert.deepEqual(draw(resumed, 50), expected);
+  assert.throws(() => resumed.setState([1, 2, 3]), /Invalid RNG state/);
+});
+
+test('deriveSeed is stable and distinct per index', () => {
+  assert.equal(deriveSeed(1, 0), 1518103152);
+  assert.equal(deriveSeed(1, -1), 314344336);
+  const seeds = new Set();
+  for (let i = -1; i < 1000; i++) seeds.add(deriveSeed(123, i));
+  assert.equal(seeds.size, 1001);
+  assert.notEqual(deriveSeed(1, 5), deriveSeed(2, 5));
+});
+
+test('parseSeed accepts numbers and treats empty values as unseeded', () => {
+  assert.equal(parseSeed('42'), 42);
+  assert.equal(parseSeed(-1), 0xffffffff);
+  assert.equal(parseSeed(undefined), null);
+  assert.equal(parseSeed(''), null);
+  assert.throws(() => parseSeed('abc'), /Invalid seed/);
+});
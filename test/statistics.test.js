@@ -0,0 +1,75 @@
+// Statistics against reference values (R / scipy) to the precision the reports print
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mean, std, quantile, wilsonInterval, normalCdf, normalQuantile,
+  meanInterval, tCdf, tQuantile, pairedTTest, mcnemarTest,
+} from '../src/stats/statistics.js';
+
+const close = (actual, expected, tol = 1e-5) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+test('mean, std and quantile', () => {
+  assert.equal(mean([2, 4, 4, 4, 5, 5, 7, 9]), 5);
+  close(std([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7), 1e-12);
+  assert.equal(std([3]), 0);
+  assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(quantile([1, 2, 3, 4], 0.25), 1.75);
+  assert.ok(Number.isNaN(quantile([], 0.5)));
+});
+
+test('normal distribution', () => {
+  close(normalCdf(1), 0.8413447);
+  close(normalCdf(-1.959964), 0.025);
+  close(normalQuantile(0.975), 1.959964);
+});
+
+test('t distribution', () => {
+  close(tQuantile(0.975, 9), 2.262157);
+  close(tQuantile(0.975, 1), 12.7062, 1e-4);
+  close(tQuantile(0.025, 30), -2.042272);
+  close(tCdf(2.262157, 9), 0.975);
+});
+
+test('meanInterval uses the t interval', () => {
+  const { mean: m, ci } = meanInterval([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(m, 5.5);
+  close(ci[0], 3.334149);
+  close(ci[1], 7.665851);
+  assert.deepEqual(meanInterval([4]), { mean: 4, ci: [4, 4] });
+});
+
+test('wilsonInterval', () => {
+  const [lo, hi] = wilsonInterval(85, 100);
+  close(lo, 0.7671644);
+  close(hi, 0.9069401);
+  const [lo0, hi0] = wilsonInterval(0, 10);
+  assert.equal(lo0, 0);
+  close(hi0, 0.2775328);
+  assert.deepEqual(wilsonInterval(0, 0), [0, 1]);
+});
+
+test('pairedTTest', () => {
+  const r = pairedTTest([1, 2, 3, 4, 5], [0, 1, 3, 2, 4]);
+  assert.equal(r.n, 5);
+  assert.equal(r.df, 4);
+  assert.equal(r.meanDiff, 1);
+  close(r.t, Math.sqrt(10), 1e-12);
+  close(r.p, 0.03410942);
+  close(r.ci[0], 0.1220110);
+  close(r.ci[1], 1.8779890);
+  assert.equal(pairedTTest([1, 2], [1, 2]).p, 1);
+  assert.throws(() => pairedTTest([1, 2], [1]), /differ in length/);
+  assert.throws(() => pairedTTest([1], [1]), /at least 2 pairs/);
+});
+
+test('mcnemarTest is the exact binomial test on discordant pairs', () => {
+  const a = [1, 1, 1, 1, 1, 0, 1, 0];
+  const b = [0, 0, 0, 0, 0, 1, 1, 0];
+  const r = mcnemarTest(a, b);
+  assert.equal(r.onlyA, 5);
+  assert.equal(r.onlyB, 1);
+  close(r.p, 0.21875, 1e-9);
+  close(mcnemarTest([1, 0], [1, 0]).p, 1, 1e-9);
+});
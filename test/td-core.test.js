@@ -0,0 +1,100 @@
+// TD backup targets of playEpisode on a scripted game, against the λ-return
+// written out as a weighted sum of n-step returns
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTDLearning, resolveBackup } from '../src/training/td-core.js';
+
+// A game of exactly LENGTH moves: the board is one cell counting moves, only
+// "up" is legal, afterstate k is reached with reward r(k) and valued v(k)
+const LENGTH = 6;
+const r = k => 10 * k;
+const v = k => 100 * k + 1;
+
+const scriptedEngine = {
+  createBoard: () => new Uint8Array(1),
+  cloneBoard: b => new Uint8Array(b),
+  move(board, dir) {
+    if (dir !== 0) return { moved: false, reward: 0 };
+    board[0]++;
+    return { moved: true, reward: r(board[0]) };
+  },
+  addRandomTile: () => true,
+  canMove: board => board[0] < LENGTH,
+  maxTile: () => 0,
+};
+
+// Fixed values; records the target of every update (delta + current value)
+function recordingNetwork() {
+  const targets = [];
+  return {
+    targets,
+    evaluate: b => v(b[0]),
+    learn(b, delta) { targets.push([b[0], delta + v(b[0])]); },
+  };
+}
+
+// n-step return from afterstate k; the game ends after afterstate LENGTH (value 0)
+function nStepReturn(k, n) {
+  let g = 0;
+  for (let j = k + 1; j <= Math.min(k + n, LENGTH); j++) g += r(j);
+  return k + n <= LENGTH ? g + v(k + n) : g;
+}
+
+// Truncated λ-return: Σ_{n<h} (1-λ) λ^(n-1) G^(n) + λ^(h-1) G^(h)
+function lambdaReturn(k, lambda, horizon) {
+  let g = 0;
+  for (let n = 1; n < horizon; n++) g += (1 - lambda) * lambda ** (n - 1) * nStepReturn(k, n);
+  return g + lambda ** (horizon - 1) * nStepReturn(k, horizon);
+}
+
+function targetsFor(backup) {
+  const { playEpisode } = createTDLearning(scriptedEngine, { reachThresholds: [] });
+  const network = recordingNetwork();
+  const result = playEpisode(network, 0.1, { backup });
+  assert.equal(result.steps, LENGTH);
+  assert.equal(result.score, [1, 2, 3, 4, 5, 6].reduce((s, k) => s + r(k), 0));
+  return network.targets;
+}
+
+const states = Array.from({ length: LENGTH }, (_, i) => i + 1);
+
+function assertTargets(actual, expected) {
+  assert.deepEqual(actual.map(([k]) => k), states, 'updates run oldest first, once each');
+  for (const [i, [k, target]] of actual.entries()) {
+    assert.ok(Math.abs(target - expected[i]) < 1e-9, `afterstate ${k}: expected ${expected[i]}, got ${target}`);
+  }
+}
+
+test('TD(0) targets r + V(next afterstate), 0 at the end', () => {
+  assertTargets(targetsFor(resolveBackup('td0')), states.map(k => nStepReturn(k, 1)));
+  assert.equal(nStepReturn(LENGTH, 1), 0);
+});
+
+for (const n of [1, 3, LENGTH + 2]) {
+  test(`n-step targets with n = ${n}`, () => {
+    assertTargets(targetsFor(resolveBackup('nstep', { nStep: n })), states.map(k => nStepReturn(k, n)));
+  });
+}
+
+for (const [lambda, window] of [[0.5, 3], [0.8, 8], [0, 4], [1, 2]]) {
+  test(`TD(λ) targets with λ = ${lambda}, window ${window}`, () => {
+    assertTargets(
+      targetsFor(resolveBackup('lambda', { lambda, window })),
+      states.map(k => lambdaReturn(k, lambda, window)),
+    );
+  });
+}
+
+test('λ = 0 and n = 1 reduce to TD(0)', () => {
+  const td0 = targetsFor(resolveBackup('td0'));
+  assert.deepEqual(targetsFor(resolveBackup('lambda', { lambda: 0, window: 5 })), td0);
+  assert.deepEqual(targetsFor(resolveBackup('nstep', { nStep: 1 })), td0);
+});
+
+test('resolveBackup validates its parameters', () => {
+  assert.throws(() => resolveBackup('lambda', { lambda: 1.5 }), /TD lambda/);
+  assert.throws(() => resolveBackup('lambda', { window: 0 }), /TD window/);
+  assert.throws(() => resolveBackup('nstep', { nStep: 2.5 }), /n-step/);
+  assert.throws(() => resolveBackup('sarsa'), /Unknown tdMode/);
+});
@@ -0,0 +1,68 @@
+// Trainer checkpoints: a seeded run resumed from a checkpoint ends with the same
+// weights and trainer state as the uninterrupted run; a failing run still cleans up
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Trainer } from '../src/training/trainer4x4.js';
+import { readWeightHeader } from '../src/network/weight-file.js';
+
+const bytes = a => Buffer.from(a.buffer, a.byteOffset, a.byteLength);
+const finalState = dir => readWeightHeader(readFileSync(join(dir, 'weights', 'final.bin'))).header.trainerState;
+
+function train(dir, options) {
+  return new Trainer({
+    evalInterval: 20,
+    checkpointInterval: 30,
+    evalGames: 2,
+    seed: 11,
+    checkpointDir: join(dir, 'weights'),
+    gifDir: join(dir, 'gifs'),
+    handleSignals: false,
+    ...options,
+  }).train();
+}
+
+test('resuming from a checkpoint reproduces the uninterrupted run', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = mkdtempSync(join(tmpdir(), 'trainer-test-'));
+  try {
+    const straight = await train(join(dir, 'a'), { totalEpisodes: 60 });
+    const resumed = await train(join(dir, 'b'), {
+      totalEpisodes: 60,
+      resumeFrom: join(dir, 'a', 'weights', 'checkpoint-30.bin'),
+    });
+
+    const weightsA = straight.weightArrays();
+    const weightsB = resumed.weightArrays();
+    assert.equal(weightsB.length, weightsA.length);
+    weightsA.forEach((a, i) => assert.ok(bytes(a).equals(bytes(weightsB[i])), `LUT ${i} differs`));
+
+    // Timing fields differ between runs; everything else must match
+    const strip = ({ elapsedSeconds, history, ...state }) =>
+      ({ ...state, history: history.map(h => [h.episode, h.avgScore, h.maxTile]) });
+    const stateA = finalState(join(dir, 'a'));
+    assert.equal(stateA.episode, 60);
+    assert.deepEqual(strip(finalState(join(dir, 'b'))), strip(stateA));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failing episode still removes the signal handlers', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = mkdtempSync(join(tmpdir(), 'trainer-test-'));
+  const listeners = process.listenerCount('SIGINT');
+  try {
+    const trainer = new Trainer({
+      totalEpisodes: 10, evalGames: 2, checkpointDir: join(dir, 'weights'), gifDir: join(dir, 'gifs'),
+    });
+    trainer.playEpisode = () => { throw new Error('episode failed'); };
+    await assert.rejects(trainer.train(), /episode failed/);
+    assert.equal(process.listenerCount('SIGINT'), listeners);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
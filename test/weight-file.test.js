@@ -0,0 +1,61 @@
+// Weight file framing: v2 round trip, CRC and size checks, legacy v1 decoding
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, encodeWeights, decodeWeights, readWeightHeader, WEIGHT_VERSION } from '../src/network/weight-file.js';
+
+const header = { boardSize: '4x4', rows: 4, cols: 4, numValues: 16, patterns: [[0, 1, 2, 3]], provenance: { episodes: 12 } };
+const arrays = () => [Float32Array.from([1.5, -2, 0, 3.25]), Float32Array.from([7]), new Float32Array(0)];
+
+test('crc32 matches the IEEE check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('encodeWeights / decodeWeights round trip', () => {
+  const buf = encodeWeights(header, arrays());
+  assert.equal(buf.length % 4, 0);
+  const decoded = decodeWeights(buf);
+  assert.equal(decoded.version, WEIGHT_VERSION);
+  assert.deepEqual(decoded.header, { format: '2048-ntuple', ...header, arrayLengths: [4, 1, 0] });
+  assert.deepEqual(decoded.arrays, arrays());
+  assert.deepEqual(readWeightHeader(buf).header, decoded.header);
+});
+
+test('decodeWeights reads a buffer at an unaligned offset', () => {
+  const buf = encodeWeights(header, arrays());
+  const shifted = Buffer.alloc(buf.length + 1);
+  buf.copy(shifted, 1);
+  assert.deepEqual(decodeWeights(shifted.subarray(1)).arrays, arrays());
+});
+
+test('decodeWeights rejects a corrupted payload by CRC', () => {
+  const buf = encodeWeights(header, arrays());
+  buf[buf.length - 8] ^= 0x01;
+  assert.throws(() => decodeWeights(buf), /checksum mismatch/);
+});
+
+test('decodeWeights rejects truncated and foreign files', () => {
+  const buf = encodeWeights(header, arrays());
+  assert.throws(() => decodeWeights(buf.subarray(0, buf.length - 4)), /size mismatch/);
+  assert.throws(() => decodeWeights(buf.subarray(0, 4)), /truncated/);
+  assert.throws(() => decodeWeights(encodeWeights({ format: 'other' }, [])), /Not a 2048-ntuple weight file/);
+  const bad = Buffer.from(buf);
+  bad.writeInt32LE(3, 0);
+  assert.throws(() => decodeWeights(bad), /Unsupported weight file version 3/);
+});
+
+test('decodeWeights reads legacy v1 files', () => {
+  const luts = [Float32Array.from([1, 2]), Float32Array.from([3, 4, 5])];
+  const buf = Buffer.alloc(8 + luts.reduce((s, l) => s + 8 + l.byteLength, 0));
+  let offset = buf.writeInt32LE(1, 0);
+  offset = buf.writeInt32LE(luts.length, offset);
+  for (const [i, lut] of luts.entries()) {
+    offset = buf.writeInt32LE(i + 4, offset);
+    offset = buf.writeInt32LE(lut.length, offset);
+    for (const v of lut) offset = buf.writeFloatLE(v, offset);
+  }
+  const decoded = decodeWeights(buf);
+  assert.equal(decoded.version, 1);
+  assert.deepEqual(decoded.patterns, [{ tupleLen: 4, lut: luts[0] }, { tupleLen: 5, lut: luts[1] }]);
+  assert.throws(() => decodeWeights(buf.subarray(0, buf.length - 4)), /truncated at pattern 1/);
+});
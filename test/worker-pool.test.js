@@ -0,0 +1,34 @@
+// Training worker pool: rounds resolve with every episode, and a worker that
+// exits mid-round or before a round rejects play() instead of hanging it
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NTupleNetwork } from '../src/network/ntuple-core.js';
+import { TrainingWorkerPool } from '../src/training/worker-pool.js';
+import { resolveBackup } from '../src/training/td-core.js';
+
+const smallNetwork = () => new NTupleNetwork({ rows: 4, patterns: [[0, 1, 2, 3], [0, 1, 4, 5]], shared: true });
+
+test('play splits a round across workers', async () => {
+  const pool = new TrainingWorkerPool(smallNetwork(), { numWorkers: 2, backup: resolveBackup('td0'), seed: 1 });
+  try {
+    const results = await pool.play(5, 0.01);
+    assert.equal(results.length, 5);
+    assert.ok(results.every(r => r.score >= 0 && r.steps > 0));
+    assert.ok(pool.rngStates.every(state => Array.isArray(state)));
+  } finally {
+    await pool.close();
+  }
+});
+
+test('play rejects when a worker exits during a round', async () => {
+  const pool = new TrainingWorkerPool(smallNetwork(), { numWorkers: 2, backup: resolveBackup('td0') });
+  try {
+    const round = pool.play(1e6, 0.01);
+    await pool.workers[1].terminate();
+    await assert.rejects(round, /Training worker 1 exited with code \d+ during a round/);
+    await assert.rejects(pool.play(2, 0.01), /Training worker 1 has exited/);
+  } finally {
+    await pool.close();
+  }
+});